@@ -1,475 +1,582 @@
-const axios = require('axios');
-const fs = require('fs').promises;
-const path = require('path');
-const { generateIcon } = require('../utils/iconUtils');
+const { generateIcon, resolveNamedLogo } = require('../utils/iconUtils');
+const { fetchBuffer, fetchResponse } = require('../utils/fetchUtils');
+const { fetchCached, fetchCachedJson } = require('../utils/upstreamCache');
+const { getGitHubClient } = require('../utils/githubClient');
+const { getRegistry } = require('../registries');
+const { runQuery } = require('../utils/queryUtils');
+const { STYLE_PRESETS, UPSTREAM_CACHE_TTLS, WORKFLOW_CONCLUSIONS } = require('../utils/constants');
 const { generateBadgeSvg } = require('../utils/badgeUtils');
+const { isValidColor, isValidBackground, resolveAutoColor } = require('../utils/colorUtils');
+const { getViewCounter } = require('../stores/CounterChain');
+const { UNIQUE_WINDOW, isCrawler, getVisitorId } = require('../utils/visitorUtils');
+const { toBucket, listBuckets } = require('../utils/historyUtils');
+const { normalizeCounterKey } = require('../utils/counterKeys');
+const { formatCount, formatDate } = require('../utils/formatUtils');
 
-// Storage path for persistent view counts (fallback for local development)
-const STORAGE_PATH = path.join(__dirname, '..', 'storage');
-
-// In-memory fallback for environments where persistent storage fails
-const memoryStorage = new Map();
-
-// Redis client (Heroku Redis primary, Upstash fallback)
-let redisClient = null;
-let redisStorageAvailable = false;
-
-// PostgreSQL client (backup storage)
-let postgresClient = null;
-let postgresStorageAvailable = false;
-
-// Initialize Redis client (Heroku Redis first, then Upstash fallback)
-try {
-  let redisUrl = process.env.REDIS_URL; // Heroku Redis
-
-  if (!redisUrl) {
-    // Fallback to Upstash
-    if (process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN) {
-      const { Redis } = require('@upstash/redis');
-      redisClient = new Redis({
-        url: process.env.UPSTASH_REDIS_REST_URL,
-        token: process.env.UPSTASH_REDIS_REST_TOKEN,
-      });
-      redisStorageAvailable = true;
-      console.log('Upstash Redis storage initialized successfully');
-    }
-  } else {
-    // Use Heroku Redis with TLS configuration
-    const { createClient } = require('redis');
-    redisClient = createClient({
-      url: redisUrl,
-      socket: {
-        tls: true,
-        rejectUnauthorized: false,
-        // Add connection timeout and keep alive
-        connectTimeout: 60000,
-        commandTimeout: 5000,
-        keepAlive: 30000,
-        lazyConnect: true
-      },
-      // Disable automatic reconnection to prevent crashes
-      retry_strategy: null
-    });
-
-    // Add error event handler to prevent unhandled exceptions
-    redisClient.on('error', (err) => {
-      console.warn('Redis client error (non-fatal):', err.message);
-      redisStorageAvailable = false;
-    });
-
-    redisClient.on('end', () => {
-      console.warn('Redis connection ended');
-      redisStorageAvailable = false;
-    });
-
-    // Mark as available initially - will connect lazily
-    redisStorageAvailable = true;
-    console.log('Heroku Redis client initialized (lazy connection)');
-  }
-} catch (error) {
-  console.warn('Redis client initialization failed, falling back to file/memory storage:', error.message);
-}
+/**
+ * Base class for dynamic badges that fetch data from external sources.
+ * Subclasses should implement fetchData() to retrieve dynamic values.
+ */
+class DynamicBadge {
+  constructor({ text, icon, bgColor = 'blue', iconColor, textColor = 'white', edges, style, messageBgColor, messageTextColor,
+    valueFormat = 'metric', precision, dateFormat = 'relative', locale = 'en-US' }) {
+    this.text = text; // Custom label shown before the dynamic value
+    this.icon = icon;
+    this.bgColor = bgColor;
+    this.iconColor = iconColor;
+    this.textColor = textColor;
+    this.edges = edges; // Overrides the style preset's corners when set
+    this.style = style;
+    this.reportIconErrors = true; // Whether an unknown icon fails the badge or is just left out
+    this.messageBgColor = messageBgColor; // Defaults to bgColor when unset
+    this.messageTextColor = messageTextColor; // Defaults to textColor when unset
+    this.chart = null; // Chart badges set { values, type, color } in fetchData
+    this.stale = false; // Set when upstream failed and a cached value is shown
+    this.valueFormat = valueFormat; // How counts are shown, see formatUtils
+    this.precision = precision; // Decimal places for counts, formatUtils picks when unset
+    this.dateFormat = dateFormat; // How dates are shown, see formatUtils
+    this.locale = locale;
+  }
 
-// Initialize PostgreSQL client (backup storage)
-try {
-  if (process.env.DATABASE_URL) {
-    const { Client } = require('pg');
-    postgresClient = new Client({
-      connectionString: process.env.DATABASE_URL,
-      ssl: { rejectUnauthorized: false } // Required for Heroku Postgres
-    });
-    postgresClient.connect();
-    postgresStorageAvailable = true;
-    console.log('PostgreSQL backup storage initialized successfully');
-
-    // Create table if it doesn't exist
-    postgresClient.query(`
-      CREATE TABLE IF NOT EXISTS view_counts (
-        repo VARCHAR(255) PRIMARY KEY,
-        count INTEGER NOT NULL DEFAULT 0,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-  }
-} catch (error) {
-  console.warn('PostgreSQL client initialization failed:', error.message);
-}
+  /**
+   * Formats a count with the badge's valueFormat, precision and locale.
+   * @param {number} value - Count
+   * @returns {string} Formatted count
+   */
+  formatCount(value) {
+    return formatCount(value, { valueFormat: this.valueFormat, precision: this.precision, locale: this.locale });
+  }
 
-// Flag to track if file storage is available (for local development)
-let fileStorageAvailable = true;
+  /**
+   * Formats a date with the badge's dateFormat and locale.
+   * @param {Date} date - Date to show
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return formatDate(date, { dateFormat: this.dateFormat, locale: this.locale });
+  }
 
-// Detect serverless environments where file system is read-only
-const isServerless = process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.FUNCTION_NAME || process.env.LAMBDA_TASK_ROOT;
+  /**
+   * Fetches JSON from an upstream API through the shared response cache.
+   * @param {string} type - Badge type, picks the TTLs in UPSTREAM_CACHE_TTLS
+   * @param {string} url - API URL
+   * @returns {Promise<*>} Parsed response
+   */
+  async fetchUpstreamJson(type, url) {
+    const { value, stale } = await fetchCachedJson(url, UPSTREAM_CACHE_TTLS[type]);
+    if (stale) this.stale = true;
+    return value;
+  }
 
-// Disable file storage in serverless environments
-if (isServerless) {
-  fileStorageAvailable = false;
-  console.log('Serverless environment detected, disabling file storage');
-}
+  /**
+   * Fetches from the GitHub API through the shared client and response cache.
+   * Private repos are answered as not found: configured tokens may be able
+   * to see them, but badges are public.
+   * @param {string} type - Badge type, picks the TTLs in UPSTREAM_CACHE_TTLS
+   * @param {string} path - API path, e.g. "/repos/owner/repo"
+   * @param {Function} select - Picks what to keep from the response, the body by default
+   * @returns {Promise<*>} Parsed response (or what select picked)
+   */
+  async fetchGitHubJson(type, path, select) {
+    const repoPath = (path.match(/^\/repos\/[^/?]+\/[^/?]+/) || [])[0];
+    // Anything under a repo needs the repo's own metadata for the private flag
+    if (repoPath && repoPath !== path) await this.fetchGitHubJson(type, repoPath);
+
+    const { value, stale } = await fetchCached(`github:${path}`, UPSTREAM_CACHE_TTLS[type],
+      (headers) => getGitHubClient().request(path, headers), select);
+    if (stale) this.stale = true;
+
+    if (repoPath === path && value && value.private) {
+      const error = new Error(`${path} is a private repo`);
+      error.code = 'GITHUB_NOT_FOUND';
+      throw error;
+    }
+    return value;
+  }
 
-/**
- * Initialize memory storage by loading all existing data from Redis, PostgreSQL, and/or files
- * This ensures persistence across server restarts and deployments
- */
-async function initializeMemoryStorage() {
-  console.log('Initializing persistent storage...');
+  /**
+   * Colors the value segment to match the value, unless the caller picked a
+   * color themselves.
+   * @param {string} color - Color for this value
+   */
+  setStatusColor(color) {
+    this.messageBgColor = this.messageBgColor || color;
+  }
+
+  /**
+   * Fetches dynamic data. Override in subclasses.
+   * @returns {Promise<string>} The dynamic text for the badge
+   */
+  async fetchData() {
+    throw new Error('fetchData() must be implemented by subclass');
+  }
 
-  // First, try to load from Redis (Heroku Redis or Upstash)
-  if (redisStorageAvailable && redisClient) {
+  /**
+   * Generates the dynamic badge by fetching data and creating SVG.
+   * @returns {Promise<string>} SVG badge
+   */
+  async generate() {
     try {
-      let keys;
-      if (redisClient instanceof require('@upstash/redis').Redis) {
-        // Upstash Redis
-        keys = await redisClient.keys('views:*');
-      } else {
-        // Heroku Redis - use KEYS command instead of SCAN for simplicity
-        try {
-          if (!redisClient.isOpen) {
-            await redisClient.connect();
-          }
-          keys = await redisClient.keys('views:*');
-        } catch (scanError) {
-          console.warn('Redis KEYS command failed, skipping Redis data loading:', scanError.message);
-          keys = [];
-        }
+      const dynamicValue = await this.fetchData();
+
+      // With a custom label the value goes in its own message segment,
+      // otherwise the value is the only text on the badge
+      let labelText = dynamicValue;
+      let message = null;
+      if (this.text) {
+        labelText = this.text;
+        message = { text: dynamicValue, bgColor: this.messageBgColor, textColor: this.messageTextColor };
       }
 
-      console.log(`Found ${keys.length} view records in Redis`);
+      let iconData = null;
 
-      for (const key of keys) {
+      if (this.icon) {
         try {
-          let count;
-          if (redisClient instanceof require('@upstash/redis').Redis) {
-            count = await redisClient.get(key);
-          } else {
-            // Heroku Redis - ensure connected first
-            if (!redisClient.isOpen) {
-              await redisClient.connect();
-            }
-            count = await redisClient.get(key);
-          }
-
-          if (count !== null) {
-            const repo = key.replace('views:', '');
-            const numCount = parseInt(count, 10) || 0;
-            memoryStorage.set(repo, numCount);
-          }
-        } catch (keyError) {
-          console.warn(`Failed to load Redis key ${key}:`, keyError.message);
+          iconData = await generateIcon(this.icon, resolveAutoColor(this.iconColor, this.bgColor));
+        } catch (iconError) {
+          // Unknown library icons are the caller's mistake, so report them
+          if (iconError.statusCode && this.reportIconErrors) throw iconError;
+          console.warn('Icon generation failed, proceeding without icon:', iconError.message);
         }
       }
 
-      console.log(`Loaded ${memoryStorage.size} repositories from Redis`);
-      return; // If Redis worked, we don't need to load from other sources
-    } catch (redisError) {
-      console.warn('Redis initialization failed, falling back to PostgreSQL:', redisError.message);
-      // Mark Redis as unavailable for this session
-      redisStorageAvailable = false;
+      const chart = this.chart && { ...this.chart, bgColor: this.messageBgColor, textColor: this.messageTextColor };
+      return generateBadgeSvg(labelText, this.bgColor, iconData, this.textColor, this.edges, { message, style: this.style, chart, stale: this.stale });
+    } catch (error) {
+      // Client errors (like an unknown icon) go back to the route as-is
+      if (error.statusCode) throw error;
+      console.error('Error in DynamicBadge.generate:', error);
+      // Return a simple error badge
+      return generateBadgeSvg('Error', 'red', null, 'white', this.edges, { style: this.style });
     }
   }
+}
 
-  // Try to load from PostgreSQL backup
-  if (postgresStorageAvailable && postgresClient) {
-    try {
-      const result = await postgresClient.query('SELECT repo, count FROM view_counts');
-      console.log(`Found ${result.rows.length} view records in PostgreSQL`);
+/**
+ * Dynamic badge for views of a repo or any other namespace/name counter
+ * (counts badge fetches as views).
+ * In unique mode a visitor (salted hash of IP and user-agent) counts once
+ * per window and crawlers don't count at all.
+ */
+class GitHubViewersBadge extends DynamicBadge {
+  constructor({ key, repo, mode = 'total', visitor = {}, ...options }) {
+    super(options);
+    this.key = normalizeCounterKey(key || repo); // namespace/name, e.g. owner/repo
+    this.mode = mode; // total, unique or both
+    this.visitor = visitor; // { ip, userAgent } of the request
+  }
 
-      for (const row of result.rows) {
-        memoryStorage.set(row.repo, row.count);
-      }
+  /**
+   * Counts this request as a unique visitor if it is one.
+   * @returns {Promise<number>} Unique visitor count
+   */
+  async countUniqueVisitor() {
+    const counter = getViewCounter();
+    const uniqueKey = `${this.key}:unique`;
+    const { ip, userAgent } = this.visitor;
 
-      console.log(`Loaded ${memoryStorage.size} repositories from PostgreSQL`);
-      return; // If PostgreSQL worked, we don't need to load from files
-    } catch (postgresError) {
-      console.warn('PostgreSQL initialization failed, falling back to file storage:', postgresError.message);
-      // Mark PostgreSQL as unavailable for this session
-      postgresStorageAvailable = false;
+    if (isCrawler(userAgent)) {
+      return counter.get(uniqueKey);
     }
+
+    const firstSeen = await counter.markSeen(`${this.key}:${getVisitorId(ip, userAgent)}`, UNIQUE_WINDOW);
+    return firstSeen ? counter.increment(uniqueKey) : counter.get(uniqueKey);
   }
 
-  // Fallback to file storage for local development only
-  if (!fileStorageAvailable || isServerless) return;
+  async fetchData() {
+    try {
+      // Every fetch still counts towards the total, whatever is shown
+      const counter = getViewCounter();
+      const totalViews = await counter.increment(this.key);
+      await counter.recordHistory(this.key);
+      if (this.mode === 'total') return this.formatCount(totalViews);
+
+      const uniqueViews = await this.countUniqueVisitor();
+      if (this.mode === 'unique') return this.formatCount(uniqueViews);
+      return `${this.formatCount(totalViews)} · ${this.formatCount(uniqueViews)} unique`;
+    } catch (error) {
+      console.error('Error in GitHubViewersBadge.fetchData:', error);
+      return '0'; // Fallback
+    }
+  }
+}
 
-  try {
-    await ensureStorageDirectory();
+/**
+ * Chart of a counter's daily views over the last N days, drawn next to the
+ * label. Reads the view history, so fetching it doesn't count as a view.
+ */
+class SparklineBadge extends DynamicBadge {
+  constructor({ key, repo, period = 30, chartType = 'line', strokeColor, showValue = true, text = 'views', ...options }) {
+    super({ text, ...options });
+    this.key = normalizeCounterKey(key || repo); // namespace/name, e.g. owner/repo
+    this.period = period; // Number of days, ending today
+    this.chartType = chartType; // line or bar
+    this.strokeColor = strokeColor; // Defaults to the message text color
+    this.showValue = showValue; // Show today's count after the chart
+  }
 
-    // Read all view count files and load into memory
-    const files = await fs.readdir(STORAGE_PATH);
-    const countFiles = files.filter(file => file.endsWith('-views-count'));
+  async fetchData() {
+    const to = new Date();
+    const from = new Date(to.getTime() - (this.period - 1) * 24 * 60 * 60 * 1000);
 
-    for (const countFile of countFiles) {
-      try {
-        const repo = countFile.replace('-views-count', '').replace(/-/g, '/');
-        const filePath = path.join(STORAGE_PATH, countFile);
-        const data = await fs.readFile(filePath, 'utf8');
-        const count = parseInt(data.trim(), 10) || 0;
-        memoryStorage.set(repo, count);
-        console.log(`Loaded ${count} views for ${repo} from file storage`);
-      } catch (fileError) {
-        console.warn(`Failed to load count file ${countFile}:`, fileError.message);
-      }
+    let values;
+    try {
+      const buckets = await getViewCounter().getHistory(this.key, 'day', toBucket(from, 'day'), toBucket(to, 'day'));
+      values = listBuckets(from, to, 'day').map(day => buckets.get(day) || 0);
+    } catch (error) {
+      console.error('Error in SparklineBadge.fetchData:', error);
+      values = listBuckets(from, to, 'day').map(() => 0);
     }
 
-    console.log(`Initialized memory storage with ${memoryStorage.size} repositories from files`);
-  } catch (error) {
-    console.warn('Failed to initialize memory storage from files:', error.message);
+    this.chart = { values, type: this.chartType, color: this.strokeColor };
+    return this.showValue ? this.formatCount(values[values.length - 1]) : '';
   }
 }
 
 /**
- * Ensure storage directory exists
- * @returns {Promise<void>}
+ * What a GitHub badge shows when the client gives up.
+ * @param {Error} error - Error from GitHubClient (or a bad response)
+ * @returns {string} Badge message
  */
-async function ensureStorageDirectory() {
-  if (!fileStorageAvailable) return;
+function describeGitHubError(error) {
+  if (error.code === 'GITHUB_NOT_FOUND') return 'repo not found';
+  if (error.code === 'GITHUB_RATE_LIMITED') return 'rate limited';
+  return 'N/A';
+}
 
-  try {
-    await fs.access(STORAGE_PATH);
-  } catch (error) {
-    // Directory doesn't exist, try to create it
+/**
+ * Dynamic badge for GitHub stargazers (stars count).
+ */
+class GitHubStarsBadge extends DynamicBadge {
+  constructor({ repo, ...options }) {
+    super(options);
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
+  }
+
+  async fetchData() {
     try {
-      await fs.mkdir(STORAGE_PATH, { recursive: true });
-    } catch (mkdirError) {
-      console.warn('Could not create storage directory, falling back to memory storage:', mkdirError.message);
-      fileStorageAvailable = false;
+      const data = await this.fetchGitHubJson('stars', `/repos/${this.repo}`);
+      return this.formatCount(data.stargazers_count);
+    } catch (error) {
+      console.error('Error fetching GitHub stargazers:', error.message);
+      return describeGitHubError(error);
     }
   }
 }
 
 /**
- * Get the file path for a repo's view count
- * @param {string} repo - The repo identifier
- * @returns {string} File path
+ * What a package badge shows when the registry gives up. Requests the
+ * registry can't answer at all (statusCode 400) go back to the route.
+ * @param {Error} error - Error from a registry adapter
+ * @returns {string} Badge message
  */
-function getViewCountFilePath(repo) {
-  return path.join(STORAGE_PATH, `${repo.replace('/', '-')}-views-count`);
+function describeRegistryError(error) {
+  if (error.statusCode) throw error;
+  if (error.response && error.response.status === 404) return 'package not found';
+  return 'N/A';
 }
 
 /**
- * Read view count from storage (Redis primary, PostgreSQL backup, file fallback, memory last resort)
- * @param {string} repo - The repo identifier
- * @returns {Promise<number>} Current view count
+ * Whether a version is a pre-release: "2.0.0-beta.1" (semver) or "2.0rc1",
+ * "1.0a2", "3.0.dev0" (PEP 440).
+ * @param {string} version - Version
+ * @returns {boolean} True for pre-releases
  */
-async function getViewCount(repo) {
-  const key = `views:${repo}`;
+function isPrerelease(version) {
+  return /-|\d\.?(a|b|rc|alpha|beta|pre|dev)\d*$/i.test(version);
+}
 
-  // Try Redis first (Heroku Redis or Upstash)
-  if (redisStorageAvailable && redisClient) {
+/**
+ * Dynamic badge for package downloads from any registry in registries/
+ * (npm by default) over one of the registry's periods.
+ */
+class DownloadsBadge extends DynamicBadge {
+  constructor({ package: packageName, registry = 'npm', period, ...options }) {
+    super(options);
+    this.packageName = packageName;
+    this.registry = getRegistry(registry);
+    this.period = period || this.registry.defaultPeriod;
+  }
+
+  async fetchData() {
     try {
-      let count;
-      if (redisClient instanceof require('@upstash/redis').Redis) {
-        // Upstash Redis
-        count = await redisClient.get(key);
-      } else {
-        // Heroku Redis - ensure connected first
-        if (!redisClient.isOpen) {
-          await redisClient.connect();
-        }
-        count = await redisClient.get(key);
-      }
+      const downloads = await this.registry.getDownloads(this.packageName, this.period,
+        (url) => this.fetchUpstreamJson('downloads', url));
+      return this.formatCount(downloads);
+    } catch (error) {
+      console.error(`Error fetching ${this.registry.label} downloads:`, error.message);
+      return describeRegistryError(error);
+    }
+  }
+}
+
+/**
+ * Latest version of a package from any registry in registries/, orange
+ * for pre-releases.
+ */
+class PackageVersionBadge extends DynamicBadge {
+  constructor({ package: packageName, registry = 'npm', tag, text = 'version', ...options }) {
+    super({ text, ...options });
+    this.packageName = packageName;
+    this.registry = getRegistry(registry);
+    this.tag = tag; // Dist-tag like "next" (npm), latest if unset
+  }
 
-      if (count !== null) {
-        const numCount = parseInt(count, 10) || 0;
-        // Sync memory storage for faster subsequent access
-        memoryStorage.set(repo, numCount);
-        return numCount;
+  async fetchData() {
+    try {
+      const version = await this.registry.getVersion(this.packageName,
+        (url) => this.fetchUpstreamJson('version', url), this.tag);
+      if (!version) {
+        this.setStatusColor('gray');
+        return 'none';
       }
+
+      this.setStatusColor(isPrerelease(version) ? 'orange' : 'blue');
+      return /^\d/.test(version) ? `v${version}` : version;
     } catch (error) {
-      console.warn('Redis get failed, falling back to PostgreSQL:', error.message);
-      redisStorageAvailable = false; // Mark as unavailable
+      console.error(`Error fetching ${this.registry.label} version:`, error.message);
+      return describeRegistryError(error);
     }
   }
+}
+
+/**
+ * License of a package's latest version, from any registry that reports
+ * one.
+ */
+class PackageLicenseBadge extends DynamicBadge {
+  constructor({ package: packageName, registry = 'npm', text = 'license', ...options }) {
+    super({ text, ...options });
+    this.packageName = packageName;
+    this.registry = getRegistry(registry);
+  }
 
-  // Try PostgreSQL backup
-  if (postgresStorageAvailable && postgresClient) {
+  async fetchData() {
     try {
-      const result = await postgresClient.query('SELECT count FROM view_counts WHERE repo = $1', [repo]);
-      if (result.rows.length > 0) {
-        const count = result.rows[0].count;
-        // Sync memory storage
-        memoryStorage.set(repo, count);
-        return count;
-      }
+      const license = await this.registry.getLicense(this.packageName,
+        (url) => this.fetchUpstreamJson('license', url));
+      this.setStatusColor(license ? 'blue' : 'gray');
+      return license || 'not specified';
     } catch (error) {
-      console.warn('PostgreSQL get failed:', error.message);
+      console.error(`Error fetching ${this.registry.label} license:`, error.message);
+      return describeRegistryError(error);
     }
   }
+}
+
+/**
+ * Node versions an npm package supports (engines.node).
+ */
+class NpmNodeVersionBadge extends DynamicBadge {
+  constructor({ package: packageName, tag, text = 'node', ...options }) {
+    super({ text, ...options });
+    this.packageName = packageName;
+    this.tag = tag; // Dist-tag like "next", latest if unset
+  }
 
-  // Try file storage if available (only in local development)
-  if (fileStorageAvailable && !isServerless) {
-    const filePath = getViewCountFilePath(repo);
+  async fetchData() {
     try {
-      const data = await fs.readFile(filePath, 'utf8');
-      const count = parseInt(data.trim(), 10) || 0;
-      // Sync memory storage
-      memoryStorage.set(repo, count);
-      return count;
+      const range = await getRegistry('npm').getNodeEngine(this.packageName,
+        (url) => this.fetchUpstreamJson('node', url), this.tag);
+      this.setStatusColor(range ? 'blue' : 'gray');
+      return range || 'not specified';
     } catch (error) {
-      // File doesn't exist or can't be read, check memory
-      if (memoryStorage.has(repo)) {
-        return memoryStorage.get(repo);
-      }
-      // Neither file nor memory has data, return 0
-      return 0;
+      console.error('Error fetching npm node engine:', error.message);
+      return describeRegistryError(error);
     }
   }
+}
+
+/**
+ * Whether an npm package has TypeScript types, bundled or from @types.
+ */
+class NpmTypesBadge extends DynamicBadge {
+  constructor({ package: packageName, text = 'types', ...options }) {
+    super({ text, ...options });
+    this.packageName = packageName;
+  }
 
-  // Fall back to memory storage
-  return memoryStorage.get(repo) || 0;
+  async fetchData() {
+    try {
+      const types = await getRegistry('npm').getTypes(this.packageName,
+        (url) => this.fetchUpstreamJson('types', url));
+      this.setStatusColor(types ? 'blue' : 'gray');
+      return types || 'missing';
+    } catch (error) {
+      console.error('Error fetching npm types:', error.message);
+      return describeRegistryError(error);
+    }
+  }
 }
 
-async function incrementViewCount(repo) {
-  try {
-    const currentCount = await getViewCount(repo);
-    const newCount = currentCount + 1;
+/**
+ * How many npm packages depend on a package.
+ */
+class NpmDependentsBadge extends DynamicBadge {
+  constructor({ package: packageName, text = 'dependents', ...options }) {
+    super({ text, ...options });
+    this.packageName = packageName;
+  }
 
-    // Update memory storage immediately
-    memoryStorage.set(repo, newCount);
+  async fetchData() {
+    try {
+      const dependents = await getRegistry('npm').getDependents(this.packageName,
+        (url) => this.fetchUpstreamJson('dependents', url));
+      return this.formatCount(dependents);
+    } catch (error) {
+      console.error('Error fetching npm dependents:', error.message);
+      return describeRegistryError(error);
+    }
+  }
+}
 
-    const key = `views:${repo}`;
+/**
+ * Example dynamic badge for time since last commit.
+ */
+class LastCommitBadge extends DynamicBadge {
+  constructor({ repo, ...options }) {
+    super(options);
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
+  }
 
-    // Try to save to Redis first (Heroku Redis or Upstash)
-    if (redisStorageAvailable && redisClient) {
-      try {
-        if (redisClient instanceof require('@upstash/redis').Redis) {
-          // Upstash Redis
-          await redisClient.set(key, newCount.toString());
-        } else {
-          // Heroku Redis - ensure connected first
-          if (!redisClient.isOpen) {
-            await redisClient.connect();
-          }
-          await redisClient.set(key, newCount);
-        }
-      } catch (redisError) {
-        console.warn('Redis save failed, falling back to PostgreSQL:', redisError.message);
-        redisStorageAvailable = false; // Mark as unavailable
-      }
+  async fetchData() {
+    try {
+      const data = await this.fetchGitHubJson('last-commit', `/repos/${this.repo}/commits?per_page=1`);
+      return this.formatDate(new Date(data[0].commit.committer.date));
+    } catch (error) {
+      console.error('Error fetching last commit:', error.message);
+      return describeGitHubError(error);
     }
+  }
+}
 
-    // Try to save to PostgreSQL backup
-    if (postgresStorageAvailable && postgresClient) {
-      try {
-        await postgresClient.query(`
-          INSERT INTO view_counts (repo, count, updated_at)
-          VALUES ($1, $2, CURRENT_TIMESTAMP)
-          ON CONFLICT (repo) DO UPDATE SET
-            count = EXCLUDED.count,
-            updated_at = CURRENT_TIMESTAMP
-        `, [repo, newCount]);
-      } catch (postgresError) {
-        console.warn('PostgreSQL save failed:', postgresError.message);
-      }
+/**
+ * Example dynamic badge for open issues.
+ */
+class OpenIssuesBadge extends DynamicBadge {
+  constructor({ repo, ...options }) {
+    super(options);
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
+  }
+
+  async fetchData() {
+    try {
+      const data = await this.fetchGitHubJson('open-issues', `/repos/${this.repo}`);
+      return this.formatCount(data.open_issues_count);
+    } catch (error) {
+      console.error('Error fetching open issues:', error.message);
+      return describeGitHubError(error);
     }
+  }
+}
 
-    // Try to save to file (only in local development, not serverless)
-    if (fileStorageAvailable && !isServerless) {
-      const filePath = getViewCountFilePath(repo);
-      try {
-        await ensureStorageDirectory();
+/**
+ * Counts the items of a paginated GitHub list fetched with per_page=1: the
+ * number of the last page, or the items on the only page.
+ * @param {Object} response - { headers, data }
+ * @returns {number} Item count
+ */
+function countFromLinkHeader(response) {
+  const last = /[?&]page=(\d+)[^>]*>;\s*rel="last"/.exec(response.headers.link || '');
+  return last ? parseInt(last[1], 10) : (Array.isArray(response.data) ? response.data.length : 0);
+}
 
-        // Also log the view with timestamp
-        const logFilePath = path.join(STORAGE_PATH, `${repo.replace('/', '-')}-views`);
-        const timestamp = new Date().toISOString();
-        await fs.appendFile(logFilePath, `${timestamp}\n`);
+/**
+ * Latest release of a repo, falling back to its newest tag for repos that
+ * only push tags.
+ */
+class GitHubReleaseBadge extends DynamicBadge {
+  constructor({ repo, text = 'release', ...options }) {
+    super({ text, ...options });
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
+  }
 
-        // Save the new count
-        await fs.writeFile(filePath, newCount.toString(), 'utf8');
+  async fetchData() {
+    try {
+      let release = null;
+      try {
+        release = await this.fetchGitHubJson('release', `/repos/${this.repo}/releases/latest`);
       } catch (error) {
-        console.warn('File storage failed, continuing with memory storage:', error.message);
+        // No releases is a 404 too, so only give up if the repo is missing
+        if (error.code !== 'GITHUB_NOT_FOUND') throw error;
+      }
+
+      if (release) {
+        this.setStatusColor(release.prerelease ? 'orange' : 'blue');
+        return release.tag_name;
       }
-    }
 
-    return newCount;
-  } catch (error) {
-    console.error('Error in incrementViewCount:', error);
-    // Fallback to memory-only operation
-    const currentCount = memoryStorage.get(repo) || 0;
-    const newCount = currentCount + 1;
-    memoryStorage.set(repo, newCount);
-    return newCount;
+      const tags = await this.fetchGitHubJson('release', `/repos/${this.repo}/tags?per_page=1`);
+      if (!tags.length) {
+        this.setStatusColor('gray');
+        return 'none';
+      }
+      this.setStatusColor('blue');
+      return tags[0].name;
+    } catch (error) {
+      console.error('Error fetching latest release:', error.message);
+      return describeGitHubError(error);
+    }
   }
 }
 
 /**
- * Base class for dynamic badges that fetch data from external sources.
- * Subclasses should implement fetchData() to retrieve dynamic values.
+ * SPDX id of a repo's license, as detected by GitHub.
  */
-class DynamicBadge {
-  constructor({ text, icon, bgColor = 'blue', iconColor, textColor = 'white', edges = 'squared' }) {
-    this.text = text; // Custom text prefix
-    this.icon = icon;
-    this.bgColor = bgColor;
-    this.iconColor = iconColor;
-    this.textColor = textColor;
-    this.edges = edges;
+class GitHubLicenseBadge extends DynamicBadge {
+  constructor({ repo, text = 'license', ...options }) {
+    super({ text, ...options });
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
   }
 
-  /**
-   * Fetches dynamic data. Override in subclasses.
-   * @returns {Promise<string>} The dynamic text for the badge
-   */
   async fetchData() {
-    throw new Error('fetchData() must be implemented by subclass');
-  }
-
-  /**
-   * Generates the dynamic badge by fetching data and creating SVG.
-   * @returns {Promise<string>} SVG badge
-   */
-  async generate() {
     try {
-      const dynamicValue = await this.fetchData();
-      let displayText = dynamicValue;
+      const data = await this.fetchGitHubJson('license', `/repos/${this.repo}`);
+      const spdxId = data.license && data.license.spdx_id;
 
-      // If custom text is provided, combine it with the dynamic value
-      if (this.text) {
-        displayText = `${this.text}: ${dynamicValue}`;
+      if (!spdxId) {
+        this.setStatusColor('gray');
+        return 'not specified';
       }
-
-      let iconData = null;
-
-      if (this.icon) {
-        try {
-          iconData = await generateIcon(this.icon, this.iconColor);
-        } catch (iconError) {
-          console.warn('Icon generation failed, proceeding without icon:', iconError.message);
-        }
+      // GitHub found a license file but couldn't match it to an SPDX id
+      if (spdxId === 'NOASSERTION') {
+        this.setStatusColor('gray');
+        return 'other';
       }
-
-      return generateBadgeSvg(displayText, this.bgColor, iconData, this.textColor, this.edges);
+      this.setStatusColor('blue');
+      return spdxId;
     } catch (error) {
-      console.error('Error in DynamicBadge.generate:', error);
-      // Return a simple error badge
-      return generateBadgeSvg('Error', 'red', null, 'white', 'squared');
+      console.error('Error fetching license:', error.message);
+      return describeGitHubError(error);
     }
   }
 }
 
 /**
- * Dynamic badge for repository views (counts badge fetches as views).
+ * Dynamic badge for a repo's fork count.
  */
-class GitHubViewersBadge extends DynamicBadge {
+class GitHubForksBadge extends DynamicBadge {
   constructor({ repo, ...options }) {
     super(options);
-    this.repo = repo.toLowerCase(); // Normalize to lowercase for consistency
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
   }
 
   async fetchData() {
     try {
-      const currentViews = await incrementViewCount(this.repo);
-      return currentViews.toString();
+      const data = await this.fetchGitHubJson('forks', `/repos/${this.repo}`);
+      return this.formatCount(data.forks_count);
     } catch (error) {
-      console.error('Error in GitHubViewersBadge.fetchData:', error);
-      return '0'; // Fallback
+      console.error('Error fetching forks:', error.message);
+      return describeGitHubError(error);
     }
   }
 }
 
 /**
- * Dynamic badge for GitHub stargazers (stars count).
+ * Dynamic badge for a repo's watchers. GitHub's `watchers_count` is really
+ * the star count, people watching are in `subscribers_count`.
  */
-class GitHubStarsBadge extends DynamicBadge {
+class GitHubWatchersBadge extends DynamicBadge {
   constructor({ repo, ...options }) {
     super(options);
     this.repo = repo.toLowerCase(); // Normalize to lowercase
@@ -477,39 +584,40 @@ class GitHubStarsBadge extends DynamicBadge {
 
   async fetchData() {
     try {
-      const response = await axios.get(`https://api.github.com/repos/${this.repo}`);
-      return response.data.stargazers_count.toString();
+      const data = await this.fetchGitHubJson('watchers', `/repos/${this.repo}`);
+      return this.formatCount(data.subscribers_count);
     } catch (error) {
-      console.error('Error fetching GitHub stargazers:', error.message);
-      return 'N/A';
+      console.error('Error fetching watchers:', error.message);
+      return describeGitHubError(error);
     }
   }
 }
 
 /**
- * Example dynamic badge for downloads (npm package downloads).
+ * Dynamic badge for the number of contributors, anonymous ones included.
  */
-class DownloadsBadge extends DynamicBadge {
-  constructor({ package: packageName, ...options }) {
+class GitHubContributorsBadge extends DynamicBadge {
+  constructor({ repo, ...options }) {
     super(options);
-    this.packageName = packageName;
+    this.repo = repo.toLowerCase(); // Normalize to lowercase
   }
 
   async fetchData() {
     try {
-      const response = await axios.get(`https://api.npmjs.org/downloads/point/last-month/${this.packageName}`);
-      return response.data.downloads.toString();
+      const count = await this.fetchGitHubJson('contributors', `/repos/${this.repo}/contributors?per_page=1&anon=1`, countFromLinkHeader);
+      return this.formatCount(count);
     } catch (error) {
-      console.error('Error fetching npm downloads:', error.message);
-      return 'N/A';
+      console.error('Error fetching contributors:', error.message);
+      return describeGitHubError(error);
     }
   }
 }
 
 /**
- * Example dynamic badge for time since last commit.
+ * Dynamic badge for open pull requests. Unlike `open_issues_count`, which
+ * counts pull requests as issues, this is pull requests only.
  */
-class LastCommitBadge extends DynamicBadge {
+class GitHubOpenPullRequestsBadge extends DynamicBadge {
   constructor({ repo, ...options }) {
     super(options);
     this.repo = repo.toLowerCase(); // Normalize to lowercase
@@ -517,45 +625,246 @@ class LastCommitBadge extends DynamicBadge {
 
   async fetchData() {
     try {
-      const response = await axios.get(`https://api.github.com/repos/${this.repo}/commits?per_page=1`);
-      const lastCommitDate = new Date(response.data[0].commit.committer.date);
-      const now = new Date();
-      const diffTime = Math.abs(now - lastCommitDate);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      return `${diffDays} days ago`;
+      const count = await this.fetchGitHubJson('open-prs', `/repos/${this.repo}/pulls?state=open&per_page=1`, countFromLinkHeader);
+      return this.formatCount(count);
     } catch (error) {
-      console.error('Error fetching last commit:', error.message);
-      return 'N/A';
+      console.error('Error fetching open pull requests:', error.message);
+      return describeGitHubError(error);
     }
   }
 }
 
 /**
- * Example dynamic badge for open issues.
+ * GitHub Actions status of the latest finished run on a branch (the default
+ * branch unless one is given), for one workflow or all of them.
  */
-class OpenIssuesBadge extends DynamicBadge {
-  constructor({ repo, ...options }) {
-    super(options);
+class GitHubWorkflowBadge extends DynamicBadge {
+  constructor({ repo, workflow, branch, text = 'build', ...options }) {
+    super({ text, ...options });
     this.repo = repo.toLowerCase(); // Normalize to lowercase
+    this.workflow = workflow; // Workflow file name (ci.yml) or id, all workflows if unset
+    this.branch = branch;
   }
 
   async fetchData() {
     try {
-      const response = await axios.get(`https://api.github.com/repos/${this.repo}`);
-      return response.data.open_issues_count.toString();
+      const branch = this.branch || (await this.fetchGitHubJson('workflow', `/repos/${this.repo}`)).default_branch;
+      const runs = this.workflow
+        ? `/repos/${this.repo}/actions/workflows/${encodeURIComponent(this.workflow)}/runs`
+        : `/repos/${this.repo}/actions/runs`;
+      const data = await this.fetchGitHubJson('workflow',
+        `${runs}?branch=${encodeURIComponent(branch)}&status=completed&exclude_pull_requests=true&per_page=1`);
+
+      const run = data.workflow_runs[0];
+      if (!run) {
+        this.setStatusColor('gray');
+        return 'no runs';
+      }
+
+      const { message, color } = WORKFLOW_CONCLUSIONS[run.conclusion] || { message: run.conclusion || 'unknown', color: 'gray' };
+      this.setStatusColor(color);
+      return message;
     } catch (error) {
-      console.error('Error fetching open issues:', error.message);
-      return 'N/A';
+      console.error('Error fetching workflow status:', error.message);
+      if (error.code === 'GITHUB_NOT_FOUND' && this.workflow) return 'workflow not found';
+      return describeGitHubError(error);
     }
   }
 }
 
+/**
+ * Accept headers for the documents the query badge reads.
+ */
+const QUERY_ACCEPT = {
+  json: 'application/json',
+  xml: 'application/xml, text/xml',
+  yaml: 'application/yaml, application/x-yaml, text/yaml, text/plain'
+};
+
+/**
+ * Badge showing a value picked out of any JSON, XML or YAML document:
+ * JSONPath for JSON and YAML, XPath for XML. Several matches are joined
+ * with ", ". The document is cached for cacheSeconds, so a popular badge
+ * doesn't hit the source on every view.
+ */
+class QueryBadge extends DynamicBadge {
+  constructor({ url, query, format = 'json', prefix = '', suffix = '', cacheSeconds, text = 'custom badge', ...options }) {
+    super({ text, ...options });
+    this.url = url;
+    this.query = query;
+    this.format = format; // json, xml or yaml
+    this.prefix = prefix;
+    this.suffix = suffix;
+    this.cacheSeconds = cacheSeconds; // How long the fetched document is reused
+  }
+
+  async fetchData() {
+    let text;
+    try {
+      const { value, stale } = await fetchCached(`query:${this.url}`, { ttl: this.cacheSeconds },
+        (headers) => fetchResponse(this.url, { 'Accept': QUERY_ACCEPT[this.format], ...headers }),
+        (response) => response.buffer.toString('utf8'));
+      if (stale) this.stale = true;
+      text = value;
+    } catch (error) {
+      console.error(`Error fetching ${this.format} badge:`, error.message);
+      return this.showFailure('inaccessible');
+    }
+
+    let matches;
+    try {
+      matches = runQuery(this.format, text, this.query);
+    } catch (error) {
+      console.error(`Error querying ${this.format} badge:`, error.message);
+      return this.showFailure(error.code === 'INVALID_QUERY' ? 'invalid query' : `invalid ${this.format}`);
+    }
+
+    if (!matches.length) return this.showFailure('no result');
+    return `${this.prefix}${matches.join(', ')}${this.suffix}`;
+  }
+
+  /**
+   * Shows a failure in red, like the endpoint badge does.
+   * @param {string} reason - Short failure message
+   * @returns {string} The message to display
+   */
+  showFailure(reason) {
+    this.setStatusColor('red');
+    return reason;
+  }
+}
+
+/**
+ * Validates a shields.io endpoint response. Only schemaVersion 1 exists,
+ * and message is the one field that is always required.
+ * @param {Object} data - Parsed JSON
+ * @returns {Object} The validated data
+ */
+function validateEndpointResponse(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Endpoint response must be a JSON object');
+  }
+  if (data.schemaVersion !== 1) {
+    throw new Error('Endpoint response must have schemaVersion 1');
+  }
+  if (typeof data.message !== 'string' && typeof data.message !== 'number') {
+    throw new Error('Endpoint response must have a message');
+  }
+
+  for (const field of ['label', 'color', 'labelColor', 'namedLogo', 'logoColor', 'style']) {
+    if (data[field] !== undefined && typeof data[field] !== 'string') {
+      throw new Error(`Endpoint response field "${field}" must be a string`);
+    }
+  }
+  for (const field of ['color', 'labelColor']) {
+    if (data[field] !== undefined && !isValidBackground(data[field])) {
+      throw new Error(`Endpoint response field "${field}" is not a valid color`);
+    }
+  }
+  if (data.logoColor !== undefined && !isValidColor(data.logoColor, true)) {
+    throw new Error('Endpoint response field "logoColor" is not a valid color');
+  }
+  if (data.style !== undefined && !Object.hasOwn(STYLE_PRESETS, data.style)) {
+    throw new Error('Endpoint response field "style" is not a known style');
+  }
+  if (data.isError !== undefined && typeof data.isError !== 'boolean') {
+    throw new Error('Endpoint response field "isError" must be a boolean');
+  }
+  if (data.cacheSeconds !== undefined && (!Number.isInteger(data.cacheSeconds) || data.cacheSeconds < 0)) {
+    throw new Error('Endpoint response field "cacheSeconds" must be a non-negative integer');
+  }
+
+  return data;
+}
+
+/**
+ * Shields-compatible endpoint badge. Fetches a JSON document describing the
+ * badge (label, message, color, namedLogo, ...) from a user-supplied URL.
+ * Query params still win over whatever the endpoint returns.
+ */
+class EndpointBadge extends DynamicBadge {
+  constructor({ url, ...options }) {
+    super(options);
+    this.url = url;
+    this.overrides = options; // Raw params, before DynamicBadge applies defaults
+    this.cacheSeconds = null; // Filled from the endpoint response
+  }
+
+  async fetchData() {
+    const { text, bgColor, icon, iconColor, messageBgColor, style } = this.overrides;
+
+    let data;
+    try {
+      const buffer = await fetchBuffer(this.url, { 'Accept': 'application/json' });
+      try {
+        data = validateEndpointResponse(JSON.parse(buffer.toString('utf8')));
+      } catch (error) {
+        console.error('Invalid endpoint badge response:', error.message);
+        return this.showFailure('invalid');
+      }
+    } catch (error) {
+      console.error('Error fetching endpoint badge:', error.message);
+      return this.showFailure('inaccessible');
+    }
+
+    this.text = text !== undefined ? text : data.label;
+    this.messageBgColor = messageBgColor || data.color || (data.isError ? 'red' : 'blue');
+    this.bgColor = bgColor || data.labelColor || 'charcoal';
+    if (!this.text) this.showMessageOnly();
+    this.icon = icon || resolveNamedLogo(data.namedLogo);
+    // A bad namedLogo is the endpoint's problem, not the caller's, so just drop the logo
+    this.reportIconErrors = Boolean(icon);
+    this.iconColor = iconColor || data.logoColor;
+    this.style = style || data.style;
+    this.cacheSeconds = data.cacheSeconds !== undefined ? data.cacheSeconds : null;
+
+    return String(data.message);
+  }
+
+  /**
+   * Switches the badge to shields' "custom badge | <reason>" error look.
+   * @param {string} reason - Short failure message
+   * @returns {string} The message to display
+   */
+  showFailure(reason) {
+    const { text, bgColor } = this.overrides;
+    this.text = text !== undefined ? text : 'custom badge';
+    this.bgColor = bgColor || 'charcoal';
+    this.messageBgColor = 'red';
+    if (!this.text) this.showMessageOnly();
+    return reason;
+  }
+
+  /**
+   * Without a label the message is drawn on its own, so it takes the
+   * message colors like a message-only shields badge.
+   */
+  showMessageOnly() {
+    this.bgColor = this.messageBgColor;
+    this.textColor = this.messageTextColor || this.textColor;
+  }
+}
+
 module.exports = {
   DynamicBadge,
+  EndpointBadge,
+  QueryBadge,
   GitHubViewersBadge,
+  SparklineBadge,
   GitHubStarsBadge,
   DownloadsBadge,
+  PackageVersionBadge,
+  PackageLicenseBadge,
+  NpmNodeVersionBadge,
+  NpmTypesBadge,
+  NpmDependentsBadge,
   LastCommitBadge,
   OpenIssuesBadge,
-  initializeMemoryStorage
+  GitHubReleaseBadge,
+  GitHubLicenseBadge,
+  GitHubForksBadge,
+  GitHubWatchersBadge,
+  GitHubContributorsBadge,
+  GitHubOpenPullRequestsBadge,
+  GitHubWorkflowBadge
 };
\ No newline at end of file
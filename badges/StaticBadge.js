@@ -1,20 +1,69 @@
 const { generateIcon } = require('../utils/iconUtils');
 const { generateBadgeSvg } = require('../utils/badgeUtils');
+const { resolveAutoColor } = require('../utils/colorUtils');
+
+/**
+ * Decodes one shields-style path segment: "__" is an underscore,
+ * a single "_" is a space. ("--" is handled before splitting.)
+ * @param {string} part - Encoded segment
+ * @returns {string} Decoded text
+ */
+function decodePathPart(part) {
+  return part
+    .replace(/__/g, '\u0000')
+    .replace(/_/g, ' ')
+    .replace(/\u0000/g, '_');
+}
+
+/**
+ * Parses a path-style badge like "build-passing-green" or "passing-green".
+ * Follows shields escaping: "--" for a dash, "__" for an underscore and
+ * "_" for a space.
+ * @param {string} badgePath - Path segment without the file extension
+ * @returns {Object|null} { label, message, color } or null if malformed
+ */
+function parseStaticBadgePath(badgePath) {
+  if (!badgePath) return null;
+
+  const parts = badgePath
+    .replace(/--/g, '\u0000')
+    .split('-')
+    .map(part => decodePathPart(part.replace(/\u0000/g, '-')));
+
+  if (parts.length === 2) {
+    const [message, color] = parts;
+    return message ? { label: null, message, color } : null;
+  }
+
+  if (parts.length === 3) {
+    const [label, message, color] = parts;
+    return message ? { label, message, color } : null;
+  }
+
+  return null;
+}
 
 /**
  * Generates a static badge based on provided parameters.
  * @param {Object} params - Badge parameters
- * @param {string} params.text - Badge text
+ * @param {string} params.text - Badge text (label segment)
  * @param {string} params.icon - Icon source
  * @param {string} params.bgColor - Background color
- * @param {string} params.iconColor - Icon color
+ * @param {string} params.iconColor - Icon color ("auto" for black/white by contrast)
  * @param {string} params.textColor - Text color
- * @param {string} params.edges - Corner style
+ * @param {string} params.edges - Corner style (overrides the style preset)
+ * @param {string} params.style - Style preset, e.g. flat or for-the-badge
+ * @param {string} params.message - Optional message segment text
+ * @param {string} params.messageBgColor - Message background color
+ * @param {string} params.messageTextColor - Message text color
  * @returns {string} SVG badge
  */
-async function generateStaticBadge({ text, icon, bgColor = 'white', iconColor, textColor = 'white', edges = 'squared' }) {
-  const iconData = await generateIcon(icon, iconColor);
-  return generateBadgeSvg(text, bgColor, iconData, textColor, edges);
+async function generateStaticBadge({ text, icon, bgColor = 'white', iconColor, textColor = 'white', edges, style, message, messageBgColor, messageTextColor }) {
+  const iconData = await generateIcon(icon, resolveAutoColor(iconColor, bgColor));
+  return generateBadgeSvg(text, bgColor, iconData, textColor, edges, {
+    message: message ? { text: message, bgColor: messageBgColor, textColor: messageTextColor } : null,
+    style
+  });
 }
 
-module.exports = { generateStaticBadge };
\ No newline at end of file
+module.exports = { generateStaticBadge, parseStaticBadgePath };
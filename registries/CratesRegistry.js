@@ -0,0 +1,38 @@
+const { RegistryAdapter } = require('./RegistryAdapter');
+
+/**
+ * crates.io. Only all-time downloads are reported per crate (recent
+ * downloads cover a fixed 90 days, which doesn't fit any period).
+ */
+class CratesRegistry extends RegistryAdapter {
+  constructor() {
+    super('crates', {
+      label: 'crates.io',
+      periods: ['total'],
+      defaultPeriod: 'total'
+    });
+  }
+
+  isValidName(packageName) {
+    return /^[a-z0-9_-]{1,64}$/i.test(packageName);
+  }
+
+  async getVersion(packageName, fetch) {
+    const { crate } = await fetch(`https://crates.io/api/v1/crates/${encodeURIComponent(packageName)}`);
+    return crate.max_stable_version || crate.max_version;
+  }
+
+  async getDownloads(packageName, period, fetch) {
+    const { crate } = await fetch(`https://crates.io/api/v1/crates/${encodeURIComponent(packageName)}`);
+    return crate.downloads;
+  }
+
+  async getLicense(packageName, fetch) {
+    const data = await fetch(`https://crates.io/api/v1/crates/${encodeURIComponent(packageName)}`);
+    const latest = data.crate.max_stable_version || data.crate.max_version;
+    const version = (data.versions || []).find(entry => entry.num === latest);
+    return (version && version.license) || null;
+  }
+}
+
+module.exports = { CratesRegistry };
@@ -0,0 +1,65 @@
+const { RegistryAdapter } = require('./RegistryAdapter');
+
+/**
+ * Docker Hub images. Names without a namespace are official images
+ * ("nginx" is "library/nginx"). Docker Hub only counts all-time pulls and
+ * has no license data.
+ */
+class DockerHubRegistry extends RegistryAdapter {
+  constructor() {
+    super('docker', {
+      label: 'Docker Hub',
+      periods: ['total'],
+      defaultPeriod: 'total'
+    });
+  }
+
+  isValidName(packageName) {
+    return /^([a-z0-9_.-]+\/)?[a-z0-9_.-]+$/i.test(packageName) && super.isValidName(packageName);
+  }
+
+  async getVersion(packageName, fetch) {
+    const data = await fetch(`https://hub.docker.com/v2/repositories/${encodeImageName(packageName)}/tags?page_size=100&ordering=last_updated`);
+    return pickLatestTag(data.results.map(tag => tag.name));
+  }
+
+  async getDownloads(packageName, period, fetch) {
+    const data = await fetch(`https://hub.docker.com/v2/repositories/${encodeImageName(packageName)}/`);
+    return data.pull_count;
+  }
+}
+
+/**
+ * Turns an image name into its repository path.
+ * @param {string} packageName - "nginx" or "owner/image"
+ * @returns {string} Encoded "namespace/image"
+ */
+function encodeImageName(packageName) {
+  const parts = packageName.toLowerCase().split('/');
+  if (parts.length === 1) parts.unshift('library');
+  return parts.map(encodeURIComponent).join('/');
+}
+
+/**
+ * Picks the highest version-looking tag ("1.27.2", "v2.0"), or the most
+ * recently pushed tag other than "latest" if none look like versions.
+ * @param {string[]} tags - Tag names, most recently updated first
+ * @returns {string|null} Tag name
+ */
+function pickLatestTag(tags) {
+  const versions = tags.filter(tag => /^v?\d+(\.\d+)*$/.test(tag));
+  if (!versions.length) return tags.find(tag => tag !== 'latest') || null;
+
+  const parse = (tag) => tag.replace(/^v/, '').split('.').map(Number);
+  return versions.reduce((best, tag) => {
+    const a = parse(tag);
+    const b = parse(best);
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if ((a[i] || 0) !== (b[i] || 0)) return (a[i] || 0) > (b[i] || 0) ? tag : best;
+    }
+    // "1.27.2" beats "1.27" and "1"
+    return a.length > b.length ? tag : best;
+  });
+}
+
+module.exports = { DockerHubRegistry, pickLatestTag };
@@ -0,0 +1,169 @@
+const { RegistryAdapter } = require('./RegistryAdapter');
+const { toBucket } = require('../utils/historyUtils');
+
+// api.npmjs.org has counts from this day on, and answers at most 18 months per query
+const DOWNLOADS_START = '2015-01-10';
+const MAX_RANGE_DAYS = 540;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * npm, through registry.npmjs.org and the api.npmjs.org download counts.
+ * Besides the RegistryAdapter methods it reads the Node engine range,
+ * whether TypeScript types are available and how many packages depend on it.
+ */
+class NpmRegistry extends RegistryAdapter {
+  constructor() {
+    super('npm', {
+      periods: ['last-day', 'last-week', 'last-month', 'last-year', 'total'],
+      defaultPeriod: 'last-month',
+      supportsTags: true
+    });
+  }
+
+  isValidName(packageName) {
+    return /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i.test(packageName);
+  }
+
+  async getVersion(packageName, fetch, tag = 'latest') {
+    const distTags = await fetch(`https://registry.npmjs.org/-/package/${encodePackageName(packageName)}/dist-tags`);
+    return distTags[tag] || null;
+  }
+
+  async getDownloads(packageName, period, fetch) {
+    if (period !== 'total') {
+      const data = await fetch(`https://api.npmjs.org/downloads/point/${period}/${encodePackagePath(packageName)}`);
+      return data.downloads;
+    }
+
+    // No all-time endpoint, so add up every range since counts began
+    let total = 0;
+    for (const range of getDownloadRanges(new Date())) {
+      const data = await fetch(`https://api.npmjs.org/downloads/point/${range}/${encodePackagePath(packageName)}`);
+      total += data.downloads;
+    }
+    return total;
+  }
+
+  async getLicense(packageName, fetch) {
+    const manifest = await this.getManifest(packageName, fetch);
+    return normalizeLicense(manifest.license || manifest.licenses);
+  }
+
+  /**
+   * package.json of a published version.
+   * @param {string} packageName - Package name
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @param {string} tag - Dist-tag or version
+   * @returns {Promise<Object>} Manifest
+   */
+  async getManifest(packageName, fetch, tag = 'latest') {
+    return fetch(`https://registry.npmjs.org/${encodePackagePath(packageName)}/${encodeURIComponent(tag)}`);
+  }
+
+  /**
+   * Node versions the package supports.
+   * @param {string} packageName - Package name
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @param {string} tag - Dist-tag or version
+   * @returns {Promise<string|null>} engines.node range, null if not declared
+   */
+  async getNodeEngine(packageName, fetch, tag = 'latest') {
+    const manifest = await this.getManifest(packageName, fetch, tag);
+    return (manifest.engines && manifest.engines.node) || null;
+  }
+
+  /**
+   * Where TypeScript types come from: the package itself, DefinitelyTyped,
+   * or nowhere.
+   * @param {string} packageName - Package name
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @returns {Promise<string|null>} "included", the @types package name, or null
+   */
+  async getTypes(packageName, fetch) {
+    const manifest = await this.getManifest(packageName, fetch);
+    if (manifest.types || manifest.typings || (manifest.exports && JSON.stringify(manifest.exports).includes('"types"'))) {
+      return 'included';
+    }
+
+    // @org/pkg is typed as @types/org__pkg
+    const typesPackage = `@types/${packageName.replace(/^@/, '').replace('/', '__')}`;
+    try {
+      await this.getVersion(typesPackage, fetch);
+      return typesPackage;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * How many published packages depend on this one. npm has no API for it
+   * (the count on npmjs.com is only in the page), so this asks ecosyste.ms,
+   * which indexes the registry's dependency lists.
+   * @param {string} packageName - Package name
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @returns {Promise<number>} Dependent packages
+   */
+  async getDependents(packageName, fetch) {
+    const data = await fetch(`https://packages.ecosyste.ms/api/v1/registries/npmjs.org/packages/${encodePackageName(packageName)}`);
+    return data.dependent_packages_count || 0;
+  }
+}
+
+/**
+ * Date ranges covering every day from DOWNLOADS_START to today, each short
+ * enough for one query. Every range but the last is in the past, so its
+ * count never changes.
+ * @param {Date} now - Current time
+ * @returns {string[]} "YYYY-MM-DD:YYYY-MM-DD" ranges
+ */
+function getDownloadRanges(now) {
+  const ranges = [];
+  const end = toBucket(now, 'day');
+
+  for (let start = new Date(`${DOWNLOADS_START}T00:00:00Z`); toBucket(start, 'day') <= end;) {
+    const last = new Date(start.getTime() + (MAX_RANGE_DAYS - 1) * DAY_MS);
+    const rangeEnd = toBucket(last, 'day') < end ? toBucket(last, 'day') : end;
+    ranges.push(`${toBucket(start, 'day')}:${rangeEnd}`);
+    start = new Date(last.getTime() + DAY_MS);
+  }
+
+  return ranges;
+}
+
+/**
+ * Encodes a package name as one path segment, "@org/pkg" → "@org%2Fpkg",
+ * which is what the dist-tags endpoint expects for scoped packages.
+ * @param {string} packageName - Package name
+ * @returns {string} Encoded name
+ */
+function encodePackageName(packageName) {
+  return encodeURIComponent(packageName).replace(/^%40/, '@');
+}
+
+/**
+ * Encodes a package name keeping the scope's slash, "@org/pkg" → "@org/pkg",
+ * for the endpoints that take the name as a path.
+ * @param {string} packageName - Package name
+ * @returns {string} Encoded path
+ */
+function encodePackagePath(packageName) {
+  return packageName.split('/').map(encodeURIComponent).join('/').replace(/^%40/, '@');
+}
+
+/**
+ * Reads the license field, including the old { type } and array forms.
+ * @param {*} license - package.json license or licenses
+ * @returns {string|null} License, or null if none is declared
+ */
+function normalizeLicense(license) {
+  if (!license) return null;
+  if (Array.isArray(license)) {
+    const types = license.map(normalizeLicense).filter(Boolean);
+    return types.length ? types.join(' OR ') : null;
+  }
+  if (typeof license === 'object') return license.type || null;
+  return String(license);
+}
+
+module.exports = { NpmRegistry, encodePackageName, encodePackagePath, getDownloadRanges };
@@ -0,0 +1,84 @@
+const { RegistryAdapter } = require('./RegistryAdapter');
+
+/**
+ * Packagist, for Composer packages named "vendor/package".
+ */
+class PackagistRegistry extends RegistryAdapter {
+  constructor() {
+    super('packagist', {
+      label: 'Packagist',
+      periods: ['last-day', 'last-month', 'total'],
+      defaultPeriod: 'last-month'
+    });
+  }
+
+  isValidName(packageName) {
+    // Composer's own name rule
+    return /^[a-z0-9]([_.-]?[a-z0-9]+)*\/[a-z0-9](([_.]|-{1,2})?[a-z0-9]+)*$/i.test(packageName);
+  }
+
+  async getVersion(packageName, fetch) {
+    const latest = pickLatestVersion(await fetchVersions(packageName, fetch));
+    return latest ? latest.version : null;
+  }
+
+  async getDownloads(packageName, period, fetch) {
+    const { downloads } = (await fetch(packageUrl(packageName))).package;
+    return { 'last-day': downloads.daily, 'last-month': downloads.monthly, total: downloads.total }[period];
+  }
+
+  async getLicense(packageName, fetch) {
+    const latest = pickLatestVersion(await fetchVersions(packageName, fetch));
+    const licenses = (latest && latest.license) || [];
+    return licenses.length ? licenses.join(' OR ') : null;
+  }
+}
+
+/**
+ * The one endpoint every method reads, so they share a cache entry.
+ * @param {string} packageName - "vendor/package"
+ * @returns {string} URL
+ */
+function packageUrl(packageName) {
+  return `https://packagist.org/packages/${packageName.toLowerCase().split('/').map(encodeURIComponent).join('/')}.json`;
+}
+
+/**
+ * Every published version of a package.
+ * @param {string} packageName - "vendor/package"
+ * @param {Function} fetch - (url) => Promise<Object>
+ * @returns {Promise<Object[]>} Version entries ({ version, version_normalized, license, ... })
+ */
+async function fetchVersions(packageName, fetch) {
+  const data = await fetch(packageUrl(packageName));
+  return Object.values(data.package.versions || {});
+}
+
+/**
+ * Picks the highest stable release, or the highest pre-release if there is
+ * nothing stable. Branches ("dev-main", "2.x-dev") never count.
+ * @param {Object[]} versions - Version entries
+ * @returns {Object|null} Version entry
+ */
+function pickLatestVersion(versions) {
+  const releases = versions.filter(entry => !/-dev$/.test(entry.version_normalized) && !entry.version.startsWith('dev-'));
+  const stable = releases.filter(entry => /^\d+(\.\d+)*$/.test(entry.version_normalized));
+  const candidates = stable.length ? stable : releases;
+  if (!candidates.length) return null;
+
+  const parse = (entry) => entry.version_normalized.toLowerCase().split(/[.-]/).map(part => (/^\d+$/.test(part) ? Number(part) : part));
+  return candidates.reduce((best, entry) => {
+    const a = parse(entry);
+    const b = parse(best);
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      if (a[i] === b[i]) continue;
+      // "1.0.0.0" beats "1.0.0.0-RC1": a finished version outranks its suffixes
+      if (a[i] === undefined) return entry;
+      if (b[i] === undefined) return best;
+      return a[i] > b[i] ? entry : best;
+    }
+    return best;
+  });
+}
+
+module.exports = { PackagistRegistry, pickLatestVersion };
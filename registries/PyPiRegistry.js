@@ -0,0 +1,56 @@
+const { RegistryAdapter } = require('./RegistryAdapter');
+
+/**
+ * PyPI, with download counts from pypistats.org (PyPI itself has none).
+ */
+class PyPiRegistry extends RegistryAdapter {
+  constructor() {
+    super('pypi', {
+      label: 'PyPI',
+      periods: ['last-day', 'last-week', 'last-month'],
+      defaultPeriod: 'last-month'
+    });
+  }
+
+  isValidName(packageName) {
+    return /^[a-z0-9]([a-z0-9._-]*[a-z0-9])?$/i.test(packageName);
+  }
+
+  async getVersion(packageName, fetch) {
+    const data = await fetch(`https://pypi.org/pypi/${encodeURIComponent(normalizeName(packageName))}/json`);
+    return data.info.version;
+  }
+
+  async getDownloads(packageName, period, fetch) {
+    const data = await fetch(`https://pypistats.org/api/packages/${encodeURIComponent(normalizeName(packageName))}/recent`);
+    return data.data[period.replace('-', '_')];
+  }
+
+  async getLicense(packageName, fetch) {
+    const { info } = await fetch(`https://pypi.org/pypi/${encodeURIComponent(normalizeName(packageName))}/json`);
+
+    // Newer packages declare an SPDX expression (PEP 639)
+    if (info.license_expression) return info.license_expression;
+
+    const classifier = (info.classifiers || []).find(name => name.startsWith('License :: '));
+    if (classifier && !classifier.endsWith(':: Other/Proprietary License')) {
+      return classifier.split(' :: ').pop();
+    }
+
+    // The free-text field often holds the whole license, only use short ones
+    const license = (info.license || '').trim();
+    return license && license.length <= 40 && !license.includes('\n') ? license : null;
+  }
+}
+
+/**
+ * Normalizes a project name the way PyPI does (PEP 503), so "Foo_Bar"
+ * and "foo-bar" share one cache entry.
+ * @param {string} packageName - Project name
+ * @returns {string} Normalized name
+ */
+function normalizeName(packageName) {
+  return packageName.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+module.exports = { PyPiRegistry };
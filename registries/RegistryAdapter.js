@@ -0,0 +1,74 @@
+/**
+ * Interface every package registry adapter implements. An adapter turns one
+ * registry's API into the same few values, so badges don't care where a
+ * package is published.
+ *
+ * Adapters never touch the network themselves: each method gets a
+ * `fetch(url)` that resolves to the parsed JSON of a GET. Badges pass one
+ * that goes through the upstream cache, tests can pass one that returns
+ * recorded fixtures.
+ */
+class RegistryAdapter {
+  constructor(name, { label, periods = [], defaultPeriod = null, supportsTags = false } = {}) {
+    this.name = name; // Used in the registry= param
+    this.label = label || name; // Shown in error messages
+    this.periods = periods; // Download periods the registry can report
+    this.defaultPeriod = defaultPeriod;
+    this.supportsTags = supportsTags; // Whether getVersion() takes a tag like "next"
+  }
+
+  /**
+   * Whether a package name is one the registry could have. Names end up in
+   * URL paths, so "." and ".." segments are never allowed.
+   * @param {string} packageName - Package name
+   * @returns {boolean} True if valid
+   */
+  isValidName(packageName) {
+    return packageName.split('/').every(part => part && part !== '.' && part !== '..');
+  }
+
+  /**
+   * Latest stable version of a package.
+   * @param {string} packageName - Package name as the registry spells it
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @param {string} tag - Release channel like "next", when supportsTags is set
+   * @returns {Promise<string|null>} Version, e.g. "1.2.3", or null if there is none
+   */
+  async getVersion(packageName, fetch, tag) {
+    throw new Error('getVersion() must be implemented by subclass');
+  }
+
+  /**
+   * Downloads over a period.
+   * @param {string} packageName - Package name
+   * @param {string} period - One of this.periods
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @returns {Promise<number>} Download count
+   */
+  async getDownloads(packageName, period, fetch) {
+    throw unsupportedError(`${this.label} doesn't report downloads`);
+  }
+
+  /**
+   * License of the latest version.
+   * @param {string} packageName - Package name
+   * @param {Function} fetch - (url) => Promise<Object>
+   * @returns {Promise<string|null>} SPDX id (or license name), null if none is declared
+   */
+  async getLicense(packageName, fetch) {
+    throw unsupportedError(`${this.label} doesn't report licenses`);
+  }
+}
+
+/**
+ * Builds the error for something a registry can't tell us.
+ * @param {string} message - What isn't supported
+ * @returns {Error} Error with statusCode 400
+ */
+function unsupportedError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+module.exports = { RegistryAdapter, unsupportedError };
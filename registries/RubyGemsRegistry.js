@@ -0,0 +1,46 @@
+const { RegistryAdapter } = require('./RegistryAdapter');
+
+/**
+ * RubyGems. Only all-time downloads are reported per gem (the other count
+ * is per version, which doesn't fit any period).
+ */
+class RubyGemsRegistry extends RegistryAdapter {
+  constructor() {
+    super('rubygems', {
+      label: 'RubyGems',
+      periods: ['total'],
+      defaultPeriod: 'total'
+    });
+  }
+
+  isValidName(packageName) {
+    return /^[a-z0-9_.-]+$/i.test(packageName) && super.isValidName(packageName);
+  }
+
+  async getVersion(packageName, fetch) {
+    const gem = await fetch(gemUrl(packageName));
+    return gem.version || null;
+  }
+
+  async getDownloads(packageName, period, fetch) {
+    const gem = await fetch(gemUrl(packageName));
+    return gem.downloads;
+  }
+
+  async getLicense(packageName, fetch) {
+    const gem = await fetch(gemUrl(packageName));
+    const licenses = (gem.licenses || []).filter(Boolean);
+    return licenses.length ? licenses.join(' OR ') : null;
+  }
+}
+
+/**
+ * The one endpoint every method reads, so they share a cache entry.
+ * @param {string} packageName - Gem name
+ * @returns {string} URL
+ */
+function gemUrl(packageName) {
+  return `https://rubygems.org/api/v1/gems/${encodeURIComponent(packageName)}.json`;
+}
+
+module.exports = { RubyGemsRegistry };
@@ -0,0 +1,46 @@
+const { NpmRegistry } = require('./NpmRegistry');
+const { PyPiRegistry } = require('./PyPiRegistry');
+const { CratesRegistry } = require('./CratesRegistry');
+const { DockerHubRegistry } = require('./DockerHubRegistry');
+const { RubyGemsRegistry } = require('./RubyGemsRegistry');
+const { PackagistRegistry } = require('./PackagistRegistry');
+
+/**
+ * Registries the registry= param can name. Add one with registerRegistry()
+ * instead of touching the badges.
+ */
+const REGISTRIES = {
+  npm: new NpmRegistry(),
+  pypi: new PyPiRegistry(),
+  crates: new CratesRegistry(),
+  docker: new DockerHubRegistry(),
+  rubygems: new RubyGemsRegistry(),
+  packagist: new PackagistRegistry()
+};
+
+/**
+ * Makes a new registry available to the package badges.
+ * @param {RegistryAdapter} adapter - Adapter, registered under adapter.name
+ */
+function registerRegistry(adapter) {
+  REGISTRIES[adapter.name] = adapter;
+}
+
+/**
+ * Finds a registry by name.
+ * @param {string} name - Registry name
+ * @returns {RegistryAdapter|null} Adapter, or null if unknown
+ */
+function getRegistry(name) {
+  return Object.hasOwn(REGISTRIES, name) ? REGISTRIES[name] : null;
+}
+
+/**
+ * Names of every registry, for error messages.
+ * @returns {string[]} Registry names
+ */
+function getRegistryNames() {
+  return Object.keys(REGISTRIES);
+}
+
+module.exports = { registerRegistry, getRegistry, getRegistryNames };
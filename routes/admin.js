@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getViewCounter, createCounterStore } = require('../stores/CounterChain');
+const { writeAuditLog } = require('../utils/auditLog');
+const { FileCounterStore } = require('../stores/FileCounterStore');
+const { isValidStoredKey } = require('../utils/counterKeys');
+
+/**
+ * Admin API for correcting, seeding, moving and backing up counters.
+ * Disabled unless ADMIN_TOKEN is set; every request needs
+ * `Authorization: Bearer <ADMIN_TOKEN>` and every change is audit-logged.
+ *
+ * Mounted at /api/admin by server.js.
+ */
+const router = express.Router();
+
+router.use(requireAdminToken);
+router.use(express.json({ limit: '5mb' }));
+router.use(express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
+
+/**
+ * Rejects requests without the admin token. Compares digests so the check
+ * takes the same time however much of the token matches.
+ */
+function requireAdminToken(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return res.status(404).json({ error: 'Admin API is disabled, set ADMIN_TOKEN to enable it' });
+
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  const digest = (value) => crypto.createHash('sha256').update(value || '').digest();
+
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(token), digest(adminToken))) {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  next();
+}
+
+/**
+ * Builds a 400 error the route handlers pass straight back.
+ * @param {string} message - What was wrong
+ * @returns {Error} Error with statusCode 400
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Rejects keys the badges could never read back. Every write goes through
+ * it; reads don't, and DELETE uses parseDeleteKey, so old keys can still be
+ * looked at and removed.
+ * @param {string} key - Counter key
+ * @returns {string} The key
+ */
+function parseKey(key) {
+  if (!isValidStoredKey(key)) {
+    throw badRequest(`Invalid counter key "${key}", expected lowercase namespace/name (optionally with :unique)`);
+  }
+  return key;
+}
+
+/**
+ * Lets DELETE through for old keys that parseKey would reject, as long as
+ * no file store would touch files outside its directory for them.
+ * @param {string} key - Counter key
+ * @param {Object} store - Store or chain the delete goes to
+ * @returns {string} The key
+ */
+function parseDeleteKey(key, store) {
+  if (isValidStoredKey(key)) return key;
+  const stores = store.stores ? [...store.stores, store.memory] : [store];
+  if (stores.some(target => target instanceof FileCounterStore && !target.ownsKey(key))) {
+    throw badRequest(`Invalid counter key "${key}", it points outside the storage directory`);
+  }
+  return key;
+}
+
+/**
+ * Reads a count from a body or import row.
+ * @param {*} value - Raw value
+ * @returns {number} Non-negative integer
+ */
+function parseCount(value) {
+  const count = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isSafeInteger(count) || count < 0) {
+    throw badRequest(`Invalid count "${value}", expected a non-negative integer`);
+  }
+  return count;
+}
+
+// Stores built for names outside the chain, kept so every request reuses
+// one connection instead of opening (and leaking) a new one
+const extraStores = new Map();
+
+/**
+ * Picks a store by name: the chain's own instance when it uses that store,
+ * otherwise one built from env (e.g. Postgres before switching to it).
+ * Without a name the whole chain is used.
+ * @param {string} name - Store name, or undefined for the chain
+ * @returns {Object} Store or chain
+ */
+function resolveStore(name) {
+  const counter = getViewCounter();
+  if (!name) return counter;
+
+  const store = counter.getStore(name) || extraStores.get(name);
+  if (store) return store;
+
+  try {
+    const created = createCounterStore(name);
+    extraStores.set(name, created);
+    return created;
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+}
+
+/**
+ * Quotes a CSV field when it needs it.
+ * @param {string} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Parses "key,count" CSV (header optional, quoted fields allowed).
+ * @param {string} csv - CSV text
+ * @returns {Array<Array<string>>} [key, count] rows
+ */
+function parseCsv(csv) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < csv.length; i++) {
+    const char = csv[i];
+    if (quoted) {
+      if (char === '"' && csv[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && csv[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const dataRows = rows.filter(fields => fields.some(value => value.trim() !== ''));
+  if (dataRows.length && dataRows[0][0].trim().toLowerCase() === 'key') dataRows.shift();
+  return dataRows;
+}
+
+/**
+ * Turns an import body into validated [key, count] pairs. Nothing is
+ * written until every row checks out.
+ * @param {Object} req - Express request
+ * @returns {Array<Array>} [key, count] pairs
+ */
+function readImportBody(req) {
+  const format = req.query.format || (req.is('text/csv') ? 'csv' : 'json');
+
+  if (format === 'csv') {
+    if (typeof req.body !== 'string') throw badRequest('Send CSV with Content-Type: text/csv');
+    return parseCsv(req.body).map((fields, index) => {
+      if (fields.length !== 2 || !fields[0]) throw badRequest(`Line ${index + 1}: expected key,count`);
+      try {
+        return [parseKey(fields[0]), parseCount(fields[1])];
+      } catch (error) {
+        throw badRequest(`Line ${index + 1}: ${error.message}`);
+      }
+    });
+  }
+
+  if (format !== 'json') throw badRequest(`Invalid format "${format}", use json or csv`);
+  const counters = req.body && typeof req.body === 'object' ? (req.body.counters || req.body) : null;
+  if (!counters || Array.isArray(counters)) throw badRequest('Expected { "counters": { "key": count } }');
+  return Object.entries(counters).map(([key, count]) => [parseKey(key), parseCount(count)]);
+}
+
+/**
+ * Raises or overwrites one count.
+ * @param {Object} store - Store or chain
+ * @param {string} key - Counter name
+ * @param {number} count - Target count
+ * @param {string} mode - "set" overwrites, "max" only raises
+ */
+async function applyCount(store, key, count, mode) {
+  if (mode === 'max') {
+    const current = await store.get(key) || 0;
+    if (count > current) await store.add(key, count - current);
+  } else {
+    await store.set(key, count);
+  }
+}
+
+/**
+ * Wraps an async handler so thrown errors become JSON responses.
+ * @param {Function} handler - Route handler
+ * @returns {Function} Express handler
+ */
+function route(handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error.statusCode) return res.status(error.statusCode).json({ error: error.message });
+      console.error('Admin API error:', error);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  };
+}
+
+/**
+ * Every counter with its count. `?store=` lists a single backend.
+ */
+router.get('/counters', route(async (req, res) => {
+  const counts = await resolveStore(req.query.store).list();
+  const counters = [...counts].sort(([a], [b]) => a.localeCompare(b)).map(([key, count]) => ({ key, count }));
+  res.json({ store: req.query.store || 'chain', counters });
+}));
+
+/**
+ * One counter, as every store in the chain sees it.
+ */
+router.get('/counters/:key(*)', route(async (req, res) => {
+  const counter = getViewCounter();
+  const { key } = req.params;
+  const stores = {};
+
+  for (const store of [...counter.stores, counter.memory]) {
+    try {
+      stores[store.name] = await store.get(key);
+    } catch (error) {
+      stores[store.name] = { error: error.message };
+    }
+  }
+
+  res.json({ key, count: await counter.get(key), stores });
+}));
+
+/**
+ * Sets a count: body { "count": 123 }. `?store=` limits it to one backend.
+ */
+router.put('/counters/:key(*)', route(async (req, res) => {
+  const key = parseKey(req.params.key);
+  const count = parseCount(req.body && req.body.count);
+  const store = resolveStore(req.query.store);
+
+  const previous = await store.get(key);
+  await store.set(key, count);
+  await writeAuditLog('set', { key, previous, count, store: req.query.store || 'chain' }, req);
+
+  res.json({ key, previous, count });
+}));
+
+/**
+ * Resets a count to 0 (history is kept, use DELETE to drop everything).
+ */
+router.post('/counters/:key(*)/reset', route(async (req, res) => {
+  const key = parseKey(req.params.key);
+  const store = resolveStore(req.query.store);
+
+  const previous = await store.get(key);
+  await store.set(key, 0);
+  await writeAuditLog('reset', { key, previous, store: req.query.store || 'chain' }, req);
+
+  res.json({ key, previous, count: 0 });
+}));
+
+/**
+ * Deletes a counter and its history everywhere.
+ */
+router.delete('/counters/:key(*)', route(async (req, res) => {
+  const store = resolveStore(req.query.store);
+  const key = parseDeleteKey(req.params.key, store);
+
+  const previous = await store.get(key);
+  const deleted = await store.delete(key);
+  await writeAuditLog('delete', { key, previous, deleted, store: req.query.store || 'chain' }, req);
+
+  res.json({ key, deleted });
+}));
+
+/**
+ * Every count as JSON (default) or CSV.
+ */
+router.get('/export', route(async (req, res) => {
+  const format = req.query.format || 'json';
+  if (format !== 'json' && format !== 'csv') throw badRequest(`Invalid format "${format}", use json or csv`);
+
+  const counts = [...await resolveStore(req.query.store).list()].sort(([a], [b]) => a.localeCompare(b));
+  const filename = `counters-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  if (format === 'csv') {
+    res.type('text/csv').send(['key,count', ...counts.map(([key, count]) => `${csvField(key)},${count}`)].join('\n') + '\n');
+    return;
+  }
+
+  res.json({ exportedAt: new Date().toISOString(), counters: Object.fromEntries(counts) });
+}));
+
+/**
+ * Loads counts from an export. `mode=set` (default) overwrites, `mode=max`
+ * only raises counts that are lower.
+ */
+router.post('/import', route(async (req, res) => {
+  const mode = req.query.mode || 'set';
+  if (mode !== 'set' && mode !== 'max') throw badRequest(`Invalid mode "${mode}", use set or max`);
+
+  const rows = readImportBody(req);
+  const store = resolveStore(req.query.store);
+
+  for (const [key, count] of rows) {
+    await applyCount(store, key, count, mode);
+  }
+  await writeAuditLog('import', { mode, keys: rows.length, store: req.query.store || 'chain' }, req);
+
+  res.json({ imported: rows.length, mode });
+}));
+
+/**
+ * Copies every counter (and its history, unless history=false) from one
+ * backend to another, e.g. { "from": "file", "to": "postgres" }.
+ */
+router.post('/copy', route(async (req, res) => {
+  const { from, to, mode = 'set', history = true } = req.body || {};
+  if (!from || !to) throw badRequest('Expected { "from": "<store>", "to": "<store>" }');
+  if (from === to) throw badRequest('from and to must be different stores');
+  if (mode !== 'set' && mode !== 'max') throw badRequest(`Invalid mode "${mode}", use set or max`);
+
+  const source = resolveStore(from);
+  const target = resolveStore(to);
+  const counts = await source.list();
+
+  let buckets = 0;
+  for (const [key, count] of counts) {
+    await applyCount(target, key, count, mode);
+    if (!history) continue;
+
+    // Buckets are raised to the source's value, so copying twice is harmless
+    for (const granularity of ['day', 'hour']) {
+      const sourceBuckets = await source.getBuckets(key, granularity, null, null);
+      const targetBuckets = sourceBuckets && await target.getBuckets(key, granularity, null, null);
+      if (!sourceBuckets || !targetBuckets) continue;
+
+      for (const [bucket, bucketCount] of sourceBuckets) {
+        const missing = bucketCount - (targetBuckets.get(bucket) || 0);
+        if (missing > 0) {
+          await target.incrementBucket(key, granularity, bucket, missing);
+          buckets++;
+        }
+      }
+    }
+  }
+
+  await writeAuditLog('copy', { from, to, mode, keys: counts.size, buckets }, req);
+  res.json({ from, to, mode, copied: counts.size, buckets });
+}));
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/**
+ * Regenerates a metrics table in utils/fontMetrics/ from a TrueType font.
+ *
+ * Reads the advance width of every BMP code point the font maps and stores
+ * them as [start, end, width] ranges so the table stays small. Code points
+ * the font doesn't cover are handled by the fallbacks in textUtils.js.
+ *
+ * Usage:
+ *   node scripts/generate-font-metrics.js /usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf bold
+ *   node scripts/generate-font-metrics.js /usr/share/fonts/truetype/dejavu/DejaVuSans.ttf normal
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'utils', 'fontMetrics');
+
+/**
+ * Finds a table in the font directory.
+ * @param {Buffer} font - Font data
+ * @param {string} tag - Four-letter table tag
+ * @returns {number} Table offset
+ */
+function findTable(font, tag) {
+  const numTables = font.readUInt16BE(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (font.toString('latin1', record, record + 4) === tag) {
+      return font.readUInt32BE(record + 8);
+    }
+  }
+  throw new Error(`Font has no ${tag} table`);
+}
+
+/**
+ * Reads the BMP character map (platform 3, encoding 1, format 4).
+ * @param {Buffer} font - Font data
+ * @returns {Map<number, number>} Code point to glyph index
+ */
+function readCmap(font) {
+  const cmap = findTable(font, 'cmap');
+  const numSubtables = font.readUInt16BE(cmap + 2);
+
+  let subtable = null;
+  for (let i = 0; i < numSubtables; i++) {
+    const record = cmap + 4 + i * 8;
+    const platform = font.readUInt16BE(record);
+    const encoding = font.readUInt16BE(record + 2);
+    const offset = cmap + font.readUInt32BE(record + 4);
+    if (platform === 3 && encoding === 1 && font.readUInt16BE(offset) === 4) {
+      subtable = offset;
+    }
+  }
+  if (subtable === null) throw new Error('Font has no format 4 Unicode cmap');
+
+  const segCount = font.readUInt16BE(subtable + 6) / 2;
+  const endCodes = subtable + 14;
+  const startCodes = endCodes + segCount * 2 + 2;
+  const idDeltas = startCodes + segCount * 2;
+  const idRangeOffsets = idDeltas + segCount * 2;
+
+  const glyphs = new Map();
+  for (let i = 0; i < segCount; i++) {
+    const end = font.readUInt16BE(endCodes + i * 2);
+    const start = font.readUInt16BE(startCodes + i * 2);
+    const delta = font.readInt16BE(idDeltas + i * 2);
+    const rangeOffset = font.readUInt16BE(idRangeOffsets + i * 2);
+
+    for (let code = start; code <= end && code !== 0xFFFF; code++) {
+      let glyph;
+      if (rangeOffset === 0) {
+        glyph = (code + delta) & 0xFFFF;
+      } else {
+        const glyphAddress = idRangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+        glyph = font.readUInt16BE(glyphAddress);
+        if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+      }
+      if (glyph !== 0) glyphs.set(code, glyph);
+    }
+  }
+
+  return glyphs;
+}
+
+/**
+ * Reads advance widths for every glyph.
+ * @param {Buffer} font - Font data
+ * @returns {Function} Glyph index to advance width
+ */
+function readAdvanceWidths(font) {
+  const hhea = findTable(font, 'hhea');
+  const hmtx = findTable(font, 'hmtx');
+  const numberOfHMetrics = font.readUInt16BE(hhea + 34);
+
+  return (glyph) => {
+    const index = Math.min(glyph, numberOfHMetrics - 1);
+    return font.readUInt16BE(hmtx + index * 4);
+  };
+}
+
+function main() {
+  const [fontPath, weight] = process.argv.slice(2);
+  if (!fontPath || !['normal', 'bold'].includes(weight)) {
+    console.error('Usage: node scripts/generate-font-metrics.js <font.ttf> <normal|bold>');
+    process.exit(1);
+  }
+  const outputPath = path.join(OUTPUT_DIR, `${weight}.json`);
+
+  const font = fs.readFileSync(fontPath);
+  const unitsPerEm = font.readUInt16BE(findTable(font, 'head') + 18);
+  const glyphs = readCmap(font);
+  const advanceWidth = readAdvanceWidths(font);
+
+  const ranges = [];
+  for (const code of [...glyphs.keys()].sort((a, b) => a - b)) {
+    const width = advanceWidth(glyphs.get(code));
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === code - 1 && last[2] === width) {
+      last[1] = code;
+    } else {
+      ranges.push([code, code, width]);
+    }
+  }
+
+  const output = {
+    font: path.basename(fontPath, path.extname(fontPath)),
+    unitsPerEm,
+    ranges
+  };
+
+  fs.writeFileSync(outputPath, JSON.stringify(output) + '\n');
+  console.log(`Wrote ${ranges.length} ranges covering ${glyphs.size} code points to ${outputPath}`);
+}
+
+main();
@@ -0,0 +1,90 @@
+/**
+ * Imports the per-counter view logs in storage/ (`<namespace>~<name>-views`, one
+ * ISO timestamp per line) into the daily and hourly history buckets of every
+ * configured counter store.
+ *
+ * Safe to run more than once: a bucket is only raised to what the log
+ * shows, never past it, so views recorded since are kept and nothing is
+ * counted twice. Hourly buckets outside the retention window are skipped.
+ *
+ * Usage:
+ *   node scripts/import-view-logs.js [storage-dir]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { getViewCounter } = require('../stores/CounterChain');
+const { toBucket, getHourlyCutoff } = require('../utils/historyUtils');
+const { fromFileName } = require('../utils/counterKeys');
+
+const STORAGE_PATH = process.argv[2] || path.join(__dirname, '..', 'storage');
+
+/**
+ * Tallies a log file into daily and hourly buckets.
+ * @param {string} filePath - Log file
+ * @returns {Promise<Object>} { day: Map, hour: Map }
+ */
+async function tallyLog(filePath) {
+  const tally = { day: new Map(), hour: new Map() };
+  const cutoff = getHourlyCutoff();
+  const lines = (await fs.readFile(filePath, 'utf8')).split('\n');
+
+  for (const line of lines) {
+    const date = new Date(line.trim());
+    if (!line.trim() || isNaN(date.getTime())) continue;
+
+    const day = toBucket(date, 'day');
+    tally.day.set(day, (tally.day.get(day) || 0) + 1);
+
+    const hour = toBucket(date, 'hour');
+    if (hour >= cutoff) tally.hour.set(hour, (tally.hour.get(hour) || 0) + 1);
+  }
+
+  return tally;
+}
+
+async function main() {
+  const counter = getViewCounter();
+  const files = (await fs.readdir(STORAGE_PATH)).filter(file => file.endsWith('-views'));
+
+  for (const logFile of files) {
+    // Logs from before namespaced keys replace the first slash with a dash
+    const name = logFile.replace(/-views$/, '');
+    const repo = fromFileName(name) || name.replace('-', '/').toLowerCase();
+    const tally = await tallyLog(path.join(STORAGE_PATH, logFile));
+    let added = 0;
+
+    // Each store is raised on its own, they may already hold different counts
+    for (const store of counter.stores) {
+      for (const granularity of ['day', 'hour']) {
+        try {
+          const existing = await store.getBuckets(repo, granularity, null, null);
+          if (existing === null) break; // Store doesn't keep history
+
+          for (const [bucket, count] of tally[granularity]) {
+            const missing = count - (existing.get(bucket) || 0);
+            if (missing <= 0) continue;
+            await store.incrementBucket(repo, granularity, bucket, missing);
+            if (granularity === 'day') added += missing;
+          }
+        } catch (error) {
+          console.warn(`Failed to import ${repo} into ${store.name}:`, error.message);
+        }
+      }
+    }
+
+    const days = [...tally.day.keys()].sort();
+    const range = days.length ? `${days[0]} to ${days[days.length - 1]}` : 'no entries';
+    console.log(`${repo}: ${added} bucket views added across stores (${range})`);
+  }
+
+  console.log(`Imported ${files.length} log files from ${STORAGE_PATH}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Import failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,215 @@
+/**
+ * Moves counters stored before namespaced keys over to the
+ * "namespace/name" scheme (see utils/counterKeys.js):
+ *
+ *   - Redis, Upstash and PostgreSQL keys that aren't lowercase are merged
+ *     into their lowercase key. Keys that can't be made valid are only
+ *     reported, clean them up with the admin API.
+ *   - storage/ files named `owner-repo-views-count` (with their log and
+ *     history) become `owner~repo-views-count`. The old names can't tell
+ *     "my-org/repo" from "my/org-repo", so the split already used by another
+ *     store wins, otherwise the first dash does. Pass --map to decide.
+ *
+ * Counts are added to whatever the new key already holds, so run it once
+ * per store. Use --dry-run to see the plan first.
+ *
+ * Usage:
+ *   node scripts/migrate-counter-keys.js [--dry-run] [--map owner-repo=namespace/name ...]
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const { getViewCounter } = require('../stores/CounterChain');
+const { FileCounterStore } = require('../stores/FileCounterStore');
+const { normalizeCounterKey, isValidStoredKey } = require('../utils/counterKeys');
+
+const dryRun = process.argv.includes('--dry-run');
+
+/**
+ * Reads the --map overrides.
+ * @returns {Map<string, string>} Legacy file name → counter key
+ */
+function readMappings() {
+  const mappings = new Map();
+  process.argv.forEach((arg, index) => {
+    if (arg !== '--map') return;
+    const [legacy, key] = (process.argv[index + 1] || '').split('=');
+    if (!legacy || !key) throw new Error('Expected --map owner-repo=namespace/name');
+    mappings.set(legacy, normalizeCounterKey(key));
+  });
+  return mappings;
+}
+
+/**
+ * The key a stored key should have now, if it can be fixed by lowercasing.
+ * @param {string} key - Stored key
+ * @returns {string|null} Normalized key, or null if it isn't valid either way
+ */
+function normalizeStoredKey(key) {
+  const lowercased = key.toLowerCase();
+  return isValidStoredKey(lowercased) ? lowercased : null;
+}
+
+/**
+ * Every key a legacy file name could stand for, one per dash.
+ * @param {string} name - File name without the -views-count suffix
+ * @returns {string[]} Valid candidate keys, first dash first
+ */
+function getCandidateKeys(name) {
+  const [base, variant] = name.split(':');
+  const candidates = [];
+
+  for (let i = base.indexOf('-'); i !== -1; i = base.indexOf('-', i + 1)) {
+    const key = `${base.slice(0, i)}/${base.slice(i + 1)}`.toLowerCase() + (variant ? `:${variant}` : '');
+    if (isValidStoredKey(key)) candidates.push(key);
+  }
+
+  return candidates;
+}
+
+/**
+ * Adds one key's history buckets onto another's.
+ * @param {Object} store - Counter store
+ * @param {Object} history - { day: {}, hour: {} } to add
+ * @param {string} key - Target key
+ */
+async function addHistory(store, history, key) {
+  for (const granularity of ['day', 'hour']) {
+    for (const [bucket, count] of Object.entries(history[granularity] || {})) {
+      await store.incrementBucket(key, granularity, bucket, count);
+    }
+  }
+}
+
+/**
+ * Reads a store's history for a key in the shape addHistory takes.
+ * @param {Object} store - Counter store
+ * @param {string} key - Counter key
+ * @returns {Promise<Object>} { day: {}, hour: {} }
+ */
+async function readStoreHistory(store, key) {
+  const history = {};
+  for (const granularity of ['day', 'hour']) {
+    const buckets = await store.getBuckets(key, granularity, null, null);
+    history[granularity] = buckets ? Object.fromEntries(buckets) : {};
+  }
+  return history;
+}
+
+/**
+ * Merges mixed-case keys of a key-value store into their lowercase key.
+ * @param {Object} store - Redis, Upstash or PostgreSQL store
+ */
+async function migrateStore(store) {
+  let moved = 0;
+
+  for (const [key, count] of await store.list()) {
+    const target = normalizeStoredKey(key);
+    if (target === key) continue;
+
+    if (!target) {
+      console.warn(`${store.name}: "${key}" is not a valid counter key, left as is`);
+      continue;
+    }
+
+    console.log(`${store.name}: ${key} -> ${target} (+${count})`);
+    moved++;
+    if (dryRun) continue;
+
+    const history = await readStoreHistory(store, key);
+    await store.add(target, count);
+    await addHistory(store, history, target);
+    await store.delete(key);
+  }
+
+  console.log(`${store.name}: ${moved} keys ${dryRun ? 'to move' : 'moved'}`);
+}
+
+/**
+ * Renames legacy storage/ files to the "~" naming.
+ * @param {FileCounterStore} store - File store
+ * @param {Set<string>} knownKeys - Keys the other stores hold
+ * @param {Map<string, string>} mappings - --map overrides
+ */
+async function migrateFiles(store, knownKeys, mappings) {
+  let files;
+  try {
+    files = await fs.readdir(store.directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    throw error;
+  }
+
+  const legacyNames = files
+    .filter(file => file.endsWith('-views-count') && !file.includes('~'))
+    .map(file => file.replace(/-views-count$/, ''));
+  let moved = 0;
+
+  for (const name of legacyNames) {
+    const candidates = getCandidateKeys(name);
+    const [, variant] = name.split(':');
+    const mapped = mappings.get(name.split(':')[0]);
+    const target = mapped
+      ? mapped + (variant ? `:${variant}` : '')
+      : candidates.find(key => knownKeys.has(key)) || candidates[0];
+
+    if (!target) {
+      console.warn(`file: no valid key for "${name}", pass --map ${name}=namespace/name`);
+      continue;
+    }
+
+    const legacyPath = (suffix) => path.join(store.directory, `${name}${suffix}`);
+    const count = parseInt((await fs.readFile(legacyPath('-views-count'), 'utf8')).trim(), 10) || 0;
+    const guess = !mapped && candidates.length > 1 && !knownKeys.has(target) ? ' (guessed, check it)' : '';
+    console.log(`file: ${name} -> ${target} (+${count})${guess}`);
+    moved++;
+    if (dryRun) continue;
+
+    // set() rather than increment() so a count of 1 isn't logged as a view
+    await store.set(target, (await store.get(target) || 0) + count);
+
+    try {
+      await fs.appendFile(store.getLogFilePath(target), await fs.readFile(legacyPath('-views')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    try {
+      await addHistory(store, JSON.parse(await fs.readFile(legacyPath('-views-history.json'), 'utf8')), target);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const suffix of ['-views-count', '-views', '-views-history.json']) {
+      await fs.rm(legacyPath(suffix), { force: true });
+    }
+  }
+
+  console.log(`file: ${moved} counters ${dryRun ? 'to move' : 'moved'}`);
+}
+
+async function main() {
+  const mappings = readMappings();
+  const counter = getViewCounter();
+  const knownKeys = new Set();
+
+  for (const store of counter.stores) {
+    if (store instanceof FileCounterStore) continue;
+    await migrateStore(store);
+    for (const key of (await store.list()).keys()) knownKeys.add(normalizeStoredKey(key) || key);
+  }
+
+  for (const store of counter.stores) {
+    if (store instanceof FileCounterStore) await migrateFiles(store, knownKeys, mappings);
+  }
+
+  if (dryRun) console.log('Dry run, nothing was changed');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
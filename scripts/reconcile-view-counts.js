@@ -0,0 +1,31 @@
+/**
+ * Brings the view count backends (Redis, PostgreSQL, storage/ files) back in
+ * line after one of them was down or newly added. The highest count any
+ * backend has for a repo wins.
+ *
+ * Uses the same env as the server (COUNTER_STORES, REDIS_URL, UPSTASH_*,
+ * DATABASE_URL).
+ *
+ * Usage:
+ *   node scripts/reconcile-view-counts.js
+ */
+
+require('dotenv').config();
+const { getViewCounter } = require('../stores/CounterChain');
+
+async function main() {
+  const report = await getViewCounter().reconcile();
+  const changed = report.filter(entry => entry.updated.length > 0);
+
+  for (const entry of changed) {
+    console.log(`${entry.key}: ${entry.count} (raised in ${entry.updated.join(', ')})`);
+  }
+  console.log(`Checked ${report.length} counters, updated ${changed.length}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Reconciliation failed:', error);
+    process.exit(1);
+  });
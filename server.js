@@ -12,127 +12,650 @@ require('dotenv').config();
  */
 
 const express = require('express');
-const { generateStaticBadge } = require('./badges/StaticBadge');
-const { GitHubViewersBadge, GitHubStarsBadge, DownloadsBadge, LastCommitBadge, OpenIssuesBadge, initializeMemoryStorage } = require('./badges/DynamicBadge');
+const { generateStaticBadge, parseStaticBadgePath } = require('./badges/StaticBadge');
+const {
+  EndpointBadge,
+  QueryBadge,
+  GitHubViewersBadge,
+  GitHubStarsBadge,
+  DownloadsBadge,
+  PackageVersionBadge,
+  PackageLicenseBadge,
+  NpmNodeVersionBadge,
+  NpmTypesBadge,
+  NpmDependentsBadge,
+  LastCommitBadge,
+  OpenIssuesBadge,
+  SparklineBadge,
+  GitHubReleaseBadge,
+  GitHubLicenseBadge,
+  GitHubForksBadge,
+  GitHubWatchersBadge,
+  GitHubContributorsBadge,
+  GitHubOpenPullRequestsBadge,
+  GitHubWorkflowBadge
+} = require('./badges/DynamicBadge');
+const { getViewCounter } = require('./stores/CounterChain');
+const adminRouter = require('./routes/admin');
+const { normalizeCounterKey } = require('./utils/counterKeys');
+
+const { isValidColor, isValidBackground } = require('./utils/colorUtils');
+const { isValidLocale } = require('./utils/formatUtils');
+const { STYLE_PRESETS, VIEWER_MODES, CHART_TYPES, SPARKLINE_PERIOD, VALUE_FORMATS, DATE_FORMATS, MAX_PRECISION, QUERY_CACHE_SECONDS } = require('./utils/constants');
+const { GRANULARITIES, HOURLY_RETENTION_HOURS, toBucket, bucketToDate, listBuckets, parseDateParam, getHourlyCutoff, summarizeDays } = require('./utils/historyUtils');
+const { getIconCacheStats } = require('./utils/iconCache');
+const { getUpstreamCacheStats } = require('./utils/upstreamCache');
+const { getGitHubClient, isValidRepo } = require('./utils/githubClient');
+const { getRegistry, getRegistryNames } = require('./registries');
+const { OUTPUT_FORMATS, resolveOutputFormat, resolveScale, rasterizeSvg } = require('./utils/rasterUtils');
 
 const app = express();
+
+// Behind a proxy (Heroku, Vercel, nginx) set TRUST_PROXY so req.ip is the
+// visitor's address rather than the proxy's. Used for unique visitor counts.
+// Accepts anything Express does: true, a hop count, or addresses/subnets.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  if (trustProxy === 'true') app.set('trust proxy', true);
+  else if (/^\d+$/.test(trustProxy)) app.set('trust proxy', parseInt(trustProxy, 10));
+  else app.set('trust proxy', trustProxy);
+}
+
+// An empty color param (`bgColor=`) means "use the default", the same as
+// leaving it out, so drop it before the routes apply their defaults
+const COLOR_PARAMS = ['bgColor', 'textColor', 'iconColor', 'messageBgColor', 'messageTextColor'];
+app.use((req, res, next) => {
+  for (const name of COLOR_PARAMS) {
+    if (typeof req.query[name] === 'string' && !req.query[name].trim()) delete req.query[name];
+  }
+  next();
+});
+
 const port = process.env.PORT || 3000;
 
+// Longest range /api/views returns in one go
+const MAX_HISTORY_DAYS = 3660;
+
+/**
+ * Applies the hybrid cache control approach (like Shields.io). Shared by
+ * every badge response so SVG and raster output cache the same way.
+ * @param {Object} res - Express response
+ * @param {Object} params - Cache-related query params
+ * @param {string} params.v - Version/cache-busting parameter
+ * @param {string} params.cacheSeconds - Cache duration override
+ * @param {string} defaultCacheControl - Header used when nothing is requested
+ */
+function setCacheHeaders(res, { v, cacheSeconds }, defaultCacheControl) {
+  if (v || cacheSeconds) {
+    // User wants instant updates - maximum cache busting
+    res.setHeader('Cache-Control', 'max-age=0, no-cache, no-store, must-revalidate, proxy-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+  } else if (cacheSeconds && parseInt(cacheSeconds) > 0) {
+    // User specified custom cache duration
+    res.setHeader('Cache-Control', `public, max-age=${parseInt(cacheSeconds)}`);
+  } else {
+    res.setHeader('Cache-Control', defaultCacheControl);
+  }
+}
+
+/**
+ * Checks the package, registry and tag params of the package badges.
+ * @param {Object} params - { packageName, registry, tag }
+ * @returns {string|null} Error message, or null if they're fine
+ */
+function findInvalidPackage({ packageName, registry, tag }) {
+  if (!packageName) return 'Missing package parameter';
+
+  const adapter = getRegistry(registry);
+  if (!adapter) return `Invalid registry "${registry}". Use one of: ${getRegistryNames().join(', ')}`;
+  if (!adapter.isValidName(packageName)) return `Invalid ${adapter.label} package name "${packageName}"`;
+
+  if (tag !== undefined) {
+    if (!adapter.supportsTags) return `${adapter.label} has no release tags`;
+    if (!/^[a-z0-9][a-z0-9._-]*$/i.test(tag)) return `Invalid tag "${tag}"`;
+  }
+  return null;
+}
+
+/**
+ * Checks the number and date formatting params of the dynamic badges.
+ * @param {Object} params - { valueFormat, precision, dateFormat, locale }
+ * @returns {string|null} Error message, or null if they're fine
+ */
+function findInvalidFormatting({ valueFormat, precision, dateFormat, locale }) {
+  if (valueFormat !== undefined && !VALUE_FORMATS.includes(valueFormat)) {
+    return `Invalid valueFormat "${valueFormat}". Use one of: ${VALUE_FORMATS.join(', ')}`;
+  }
+  if (precision !== undefined && !(/^\d+$/.test(precision) && Number(precision) <= MAX_PRECISION)) {
+    return `Invalid precision "${precision}". Use 0 to ${MAX_PRECISION}`;
+  }
+  if (dateFormat !== undefined && !DATE_FORMATS.includes(dateFormat)) {
+    return `Invalid dateFormat "${dateFormat}". Use one of: ${DATE_FORMATS.join(', ')}`;
+  }
+  if (locale !== undefined && !isValidLocale(locale)) return `Invalid locale "${locale}"`;
+  return null;
+}
+
+/**
+ * Finds the first color param that parseColor can't handle, so we can
+ * answer with a 400 instead of silently drawing a white badge.
+ * Backgrounds may also be gradients, text and icon colors may be "auto".
+ * @param {Object} colors - Color params by name
+ * @returns {string|null} Error message, or null if all colors are valid
+ */
+function findInvalidColor(colors) {
+  const backgrounds = ['bgColor', 'messageBgColor'];
+
+  for (const [name, value] of Object.entries(colors)) {
+    if (value === undefined) continue;
+    const valid = backgrounds.includes(name) ? isValidBackground(value) : isValidColor(value, true);
+    if (!valid) {
+      return `Invalid ${name}: "${value}"`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads the output format and retina scale from the request. Accepts
+ * `format=png|webp` or a path suffix like `/badge.png`.
+ * @param {Object} req - Express request
+ * @param {string} extension - Path suffix, if any
+ * @returns {Object|null} { format, scale } or null if invalid
+ */
+function getOutputOptions(req, extension) {
+  const format = resolveOutputFormat(req.query.format, extension);
+  const scale = resolveScale(req.query.scale);
+  if (!format || !scale) return null;
+  return { format, scale };
+}
+
+/**
+ * Sends a badge in the requested format. SVG goes out as-is, PNG/WebP are
+ * rasterized from the same SVG.
+ * @param {Object} res - Express response
+ * @param {string} svg - Badge SVG
+ * @param {Object} output - { format, scale } from getOutputOptions
+ */
+async function sendBadge(res, svg, { format, scale }) {
+  res.setHeader('Content-Type', OUTPUT_FORMATS[format]);
+
+  if (format === 'svg') {
+    res.send(svg);
+    return;
+  }
+
+  res.send(await rasterizeSvg(svg, format, scale));
+}
+
 /**
  * Main endpoint for generating badges. Takes query params for text, icon,
  * colors, etc. Processes icons async and caches the result.
+ * `/badge.png` and `/badge.webp` serve the same badge rasterized.
  */
-app.get('/badge', async (req, res) => {
+app.get(['/badge', '/badge.:ext'], async (req, res) => {
   const {
     text,
     icon,
     bgColor = 'white',
     iconColor,
     textColor = 'white',
-    edges = 'squared',
+    edges, // Overrides the style preset's corners
+    style, // Style preset: flat, flat-square, plastic, for-the-badge, social
+    message, // Optional right-hand segment, e.g. text=Coverage&message=92%
+    messageBgColor,
+    messageTextColor,
     v, // version/cache-busting parameter
     cacheSeconds // optional cache duration override
   } = req.query;
 
+  const output = getOutputOptions(req, req.params.ext);
+  if (!output) return res.status(400).send('Invalid format or scale parameter');
+
+  const colorError = findInvalidColor({ bgColor, textColor, iconColor, messageBgColor, messageTextColor });
+  if (colorError) return res.status(400).send(colorError);
+  if (style && !Object.hasOwn(STYLE_PRESETS, style)) return res.status(400).send(`Invalid style: "${style}"`);
+
   try {
-    const svg = await generateStaticBadge({ text, icon, bgColor, iconColor, textColor, edges });
-
-    res.setHeader('Content-Type', 'image/svg+xml');
-
-    // Hybrid cache control approach
-    if (v || cacheSeconds) {
-      // User wants instant updates - maximum cache busting
-      res.setHeader('Cache-Control', 'max-age=0, no-cache, no-store, must-revalidate, proxy-revalidate');
-      res.setHeader('Pragma', 'no-cache');
-      res.setHeader('Expires', '0');
-    } else if (cacheSeconds && parseInt(cacheSeconds) > 0) {
-      // User specified custom cache duration
-      res.setHeader('Cache-Control', `public, max-age=${parseInt(cacheSeconds)}`);
-    } else {
-      // Default: allow some caching for static badges
-      res.setHeader('Cache-Control', 'public, max-age=3600');
-    }
+    const svg = await generateStaticBadge({ text, icon, bgColor, iconColor, textColor, edges, style, message, messageBgColor, messageTextColor });
 
-    res.send(svg);
+    // Default: allow some caching for static badges
+    setCacheHeaders(res, { v, cacheSeconds }, 'public, max-age=3600');
+
+    await sendBadge(res, svg, output);
   } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).send(error.message);
     console.error('Error generating badge:', error);
     res.status(500).send('Internal Server Error');
   }
 });
 
+/**
+ * Path-style static badges, e.g. /badge/static/build-passing-green.svg.
+ * Uses shields escaping so moving over is mostly a hostname swap. The usual
+ * query params (icon, textColor, edges, ...) still work and take precedence.
+ */
+app.get('/badge/static/:badge', async (req, res) => {
+  const [, badgePath, extension] = req.params.badge.match(/^(.*?)(?:\.(svg|png|webp))?$/i);
+
+  const parsed = parseStaticBadgePath(badgePath);
+  if (!parsed) return res.status(400).send('Invalid badge path, expected label-message-color or message-color');
+
+  const output = getOutputOptions(req, extension);
+  if (!output) return res.status(400).send('Invalid format or scale parameter');
+
+  // Without a label the message is the whole badge, colored with the path color
+  const defaults = parsed.label
+    ? { text: parsed.label, message: parsed.message, bgColor: 'charcoal', messageBgColor: parsed.color }
+    : { text: parsed.message, bgColor: parsed.color };
+
+  const {
+    text = defaults.text,
+    icon,
+    bgColor = defaults.bgColor,
+    iconColor,
+    textColor = 'white',
+    edges, // Overrides the style preset's corners
+    style, // Style preset: flat, flat-square, plastic, for-the-badge, social
+    message = defaults.message,
+    messageBgColor = defaults.messageBgColor,
+    messageTextColor,
+    v, // version/cache-busting parameter
+    cacheSeconds // optional cache duration override
+  } = req.query;
+
+  const colorError = findInvalidColor({ bgColor, textColor, iconColor, messageBgColor, messageTextColor });
+  if (colorError) return res.status(400).send(colorError);
+  if (style && !Object.hasOwn(STYLE_PRESETS, style)) return res.status(400).send(`Invalid style: "${style}"`);
+
+  try {
+    const svg = await generateStaticBadge({ text, icon, bgColor, iconColor, textColor, edges, style, message, messageBgColor, messageTextColor });
+
+    // Default: allow some caching for static badges
+    setCacheHeaders(res, { v, cacheSeconds }, 'public, max-age=3600');
+
+    await sendBadge(res, svg, output);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).send(error.message);
+    console.error('Error generating static badge:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+/**
+ * Shields-compatible endpoint badge. The `url` param points at a JSON document
+ * ({ schemaVersion, label, message, color, namedLogo, cacheSeconds, isError }).
+ * Any badge params in the query override what the endpoint returns.
+ */
+app.get(['/badge/endpoint', '/badge/endpoint.:ext'], async (req, res) => {
+  const {
+    url,
+    text,
+    icon,
+    bgColor,
+    iconColor,
+    textColor,
+    edges,
+    style,
+    messageBgColor,
+    messageTextColor,
+    v, // version/cache-busting parameter
+    cacheSeconds // optional cache duration override
+  } = req.query;
+
+  if (!url) return res.status(400).send('Missing url parameter');
+  if (!/^https?:\/\//i.test(url)) return res.status(400).send('Invalid url parameter');
+
+  const output = getOutputOptions(req, req.params.ext);
+  if (!output) return res.status(400).send('Invalid format or scale parameter');
+
+  const colorError = findInvalidColor({ bgColor, textColor, iconColor, messageBgColor, messageTextColor });
+  if (colorError) return res.status(400).send(colorError);
+  if (style && !Object.hasOwn(STYLE_PRESETS, style)) return res.status(400).send(`Invalid style: "${style}"`);
+
+  try {
+    const badgeInstance = new EndpointBadge({ url, text, icon, bgColor, iconColor, textColor, edges, style, messageBgColor, messageTextColor });
+    const svg = await badgeInstance.generate();
+
+    // Default: honour the endpoint's own cacheSeconds, like shields does
+    const endpointSeconds = badgeInstance.cacheSeconds !== null ? badgeInstance.cacheSeconds : 300;
+    setCacheHeaders(res, { v, cacheSeconds }, `public, max-age=${endpointSeconds}`);
+
+    await sendBadge(res, svg, output);
+  } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).send(error.message);
+    console.error('Error generating endpoint badge:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
 /**
  * Dynamic badge endpoint. Supports different types like viewers, downloads, etc.
+ * A `.png`/`.webp` suffix on the type (e.g. `viewers.png`) picks the format.
  */
 app.get('/badge/dynamic/:type', async (req, res) => {
-  const { type } = req.params;
+  const [, type, extension] = req.params.type.match(/^(.*?)(?:\.(svg|png|webp))?$/i);
   const {
     repo,
+    key, // viewers/sparkline: any namespace/name counter instead of a repo
     package: packageName,
+    mode, // viewers only: total (default), unique or both
+    period, // sparkline: number of days, downloads: last-day, last-week, last-month, last-year or total
+    registry = 'npm', // package badges: registry to read from
+    tag, // version/node only: npm dist-tag like next or beta
+    chart, // sparkline only: line (default) or bar
+    strokeColor, // sparkline only: chart color
+    showValue, // sparkline only: "false" hides today's count
+    workflow, // workflow only: workflow file name or id (all workflows if unset)
+    branch, // workflow only: branch (default branch if unset)
+    url, // json/xml/yaml only: document to read
+    query, // json/xml/yaml only: JSONPath (json, yaml) or XPath (xml)
+    prefix, // json/xml/yaml only: text before the value
+    suffix, // json/xml/yaml only: text after the value
+    valueFormat, // Counts: metric (default), grouped or raw
+    precision, // Counts: decimal places, 0 to 3
+    dateFormat, // Dates: relative (default), iso, short, medium or long
+    locale, // Number and date language, e.g. de-DE (default en-US)
     text, // Custom text to show before the dynamic value
     icon,
     bgColor = 'blue',
     iconColor,
     textColor = 'white',
-    edges = 'squared',
+    edges, // Overrides the style preset's corners
+    style, // Style preset: flat, flat-square, plastic, for-the-badge, social
+    messageBgColor, // Background of the value segment (defaults to bgColor)
+    messageTextColor, // Text color of the value segment (defaults to textColor)
     v, // version/cache-busting parameter
     cacheSeconds // optional cache duration override
   } = req.query;
 
+  const output = getOutputOptions(req, extension);
+  if (!output) return res.status(400).send('Invalid format or scale parameter');
+
+  const colorError = findInvalidColor({ bgColor, textColor, iconColor, messageBgColor, messageTextColor });
+  if (colorError) return res.status(400).send(colorError);
+  if (style && !Object.hasOwn(STYLE_PRESETS, style)) return res.status(400).send(`Invalid style: "${style}"`);
+  const formattingError = findInvalidFormatting({ valueFormat, precision, dateFormat, locale });
+  if (formattingError) return res.status(400).send(formattingError);
+  if (repo !== undefined && !isValidRepo(repo)) return res.status(400).send('Invalid repo parameter, expected owner/repo');
+
+  const badgeOptions = {
+    text, icon, bgColor, iconColor, textColor, edges, style, messageBgColor, messageTextColor,
+    valueFormat, precision: precision === undefined ? undefined : Number(precision), dateFormat, locale
+  };
   let badgeInstance;
 
   try {
     switch (type) {
       case 'viewers':
-        if (!repo) return res.status(400).send('Missing repo parameter');
-        badgeInstance = new GitHubViewersBadge({ repo, text, icon, bgColor, iconColor, textColor, edges });
+        if (!repo && !key) return res.status(400).send('Missing repo or key parameter');
+        if (mode && !VIEWER_MODES.includes(mode)) {
+          return res.status(400).send(`Invalid mode "${mode}". Use one of: ${VIEWER_MODES.join(', ')}`);
+        }
+        badgeInstance = new GitHubViewersBadge({
+          key: key || repo,
+          mode,
+          visitor: { ip: req.ip, userAgent: req.get('user-agent') },
+          ...badgeOptions
+        });
         break;
+      case 'sparkline': {
+        if (!repo && !key) return res.status(400).send('Missing repo or key parameter');
+        const days = period === undefined ? SPARKLINE_PERIOD.default : Number(period);
+        if (!Number.isInteger(days) || days < SPARKLINE_PERIOD.min || days > SPARKLINE_PERIOD.max) {
+          return res.status(400).send(`Invalid period, use a number of days from ${SPARKLINE_PERIOD.min} to ${SPARKLINE_PERIOD.max}`);
+        }
+        if (chart && !CHART_TYPES.includes(chart)) {
+          return res.status(400).send(`Invalid chart "${chart}". Use one of: ${CHART_TYPES.join(', ')}`);
+        }
+        if (strokeColor && !isValidColor(strokeColor, true)) return res.status(400).send(`Invalid strokeColor: "${strokeColor}"`);
+        badgeInstance = new SparklineBadge({
+          key: key || repo,
+          period: days,
+          chartType: chart,
+          strokeColor,
+          showValue: showValue !== 'false',
+          ...badgeOptions
+        });
+        break;
+      }
       case 'stars':
         if (!repo) return res.status(400).send('Missing repo parameter');
-        badgeInstance = new GitHubStarsBadge({ repo, text, icon, bgColor, iconColor, textColor, edges });
+        badgeInstance = new GitHubStarsBadge({ repo, ...badgeOptions });
+        break;
+      case 'downloads': {
+        const packageError = findInvalidPackage({ packageName, registry });
+        if (packageError) return res.status(400).send(packageError);
+        const adapter = getRegistry(registry);
+        if (period && !adapter.periods.includes(period)) {
+          return res.status(400).send(`Invalid period "${period}" for ${adapter.label}. Use one of: ${adapter.periods.join(', ')}`);
+        }
+        badgeInstance = new DownloadsBadge({ package: packageName, registry, period, ...badgeOptions });
+        break;
+      }
+      case 'version': {
+        const packageError = findInvalidPackage({ packageName, registry, tag });
+        if (packageError) return res.status(400).send(packageError);
+        badgeInstance = new PackageVersionBadge({ package: packageName, registry, tag, ...badgeOptions });
+        break;
+      }
+      case 'node': {
+        const packageError = findInvalidPackage({ packageName, registry: 'npm', tag });
+        if (packageError) return res.status(400).send(packageError);
+        badgeInstance = new NpmNodeVersionBadge({ package: packageName, tag, ...badgeOptions });
+        break;
+      }
+      case 'types': {
+        const packageError = findInvalidPackage({ packageName, registry: 'npm' });
+        if (packageError) return res.status(400).send(packageError);
+        badgeInstance = new NpmTypesBadge({ package: packageName, ...badgeOptions });
         break;
-      case 'downloads':
-        if (!packageName) return res.status(400).send('Missing package parameter');
-        badgeInstance = new DownloadsBadge({ package: packageName, text, icon, bgColor, iconColor, textColor, edges });
+      }
+      case 'dependents': {
+        const packageError = findInvalidPackage({ packageName, registry: 'npm' });
+        if (packageError) return res.status(400).send(packageError);
+        badgeInstance = new NpmDependentsBadge({ package: packageName, ...badgeOptions });
         break;
+      }
       case 'last-commit':
         if (!repo) return res.status(400).send('Missing repo parameter');
-        badgeInstance = new LastCommitBadge({ repo, text, icon, bgColor, iconColor, textColor, edges });
+        badgeInstance = new LastCommitBadge({ repo, ...badgeOptions });
         break;
       case 'open-issues':
         if (!repo) return res.status(400).send('Missing repo parameter');
-        badgeInstance = new OpenIssuesBadge({ repo, text, icon, bgColor, iconColor, textColor, edges });
+        badgeInstance = new OpenIssuesBadge({ repo, ...badgeOptions });
         break;
+      case 'release':
+        if (!repo) return res.status(400).send('Missing repo parameter');
+        badgeInstance = new GitHubReleaseBadge({ repo, ...badgeOptions });
+        break;
+      case 'license':
+        // package= reads the license from a registry, repo= from GitHub
+        if (packageName) {
+          const packageError = findInvalidPackage({ packageName, registry });
+          if (packageError) return res.status(400).send(packageError);
+          badgeInstance = new PackageLicenseBadge({ package: packageName, registry, ...badgeOptions });
+          break;
+        }
+        if (!repo) return res.status(400).send('Missing repo or package parameter');
+        badgeInstance = new GitHubLicenseBadge({ repo, ...badgeOptions });
+        break;
+      case 'forks':
+        if (!repo) return res.status(400).send('Missing repo parameter');
+        badgeInstance = new GitHubForksBadge({ repo, ...badgeOptions });
+        break;
+      case 'watchers':
+        if (!repo) return res.status(400).send('Missing repo parameter');
+        badgeInstance = new GitHubWatchersBadge({ repo, ...badgeOptions });
+        break;
+      case 'contributors':
+        if (!repo) return res.status(400).send('Missing repo parameter');
+        badgeInstance = new GitHubContributorsBadge({ repo, ...badgeOptions });
+        break;
+      case 'open-prs':
+        if (!repo) return res.status(400).send('Missing repo parameter');
+        badgeInstance = new GitHubOpenPullRequestsBadge({ repo, ...badgeOptions });
+        break;
+      case 'workflow':
+        if (!repo) return res.status(400).send('Missing repo parameter');
+        if (workflow && !/^[\w.-]+$/.test(workflow)) return res.status(400).send(`Invalid workflow "${workflow}", use a file name like ci.yml or an id`);
+        badgeInstance = new GitHubWorkflowBadge({ repo, workflow, branch, ...badgeOptions });
+        break;
+      case 'json':
+      case 'xml':
+      case 'yaml': {
+        if (!url) return res.status(400).send('Missing url parameter');
+        if (!query) return res.status(400).send('Missing query parameter');
+        // cacheSeconds also decides how long the fetched document is reused
+        const ttl = cacheSeconds === undefined ? QUERY_CACHE_SECONDS.default : Number(cacheSeconds);
+        if (!Number.isInteger(ttl) || ttl < 0) return res.status(400).send('Invalid cacheSeconds, use a number of seconds');
+        badgeInstance = new QueryBadge({
+          url,
+          query,
+          format: type,
+          prefix,
+          suffix,
+          cacheSeconds: Math.min(Math.max(ttl, QUERY_CACHE_SECONDS.min), QUERY_CACHE_SECONDS.max),
+          ...badgeOptions
+        });
+        break;
+      }
       default:
         return res.status(400).send('Invalid badge type');
     }
 
     const svg = await badgeInstance.generate();
 
-    res.setHeader('Content-Type', 'image/svg+xml');
-
-    // Hybrid cache control approach (like Shields.io)
-    if (v || cacheSeconds) {
-      // User wants instant updates - maximum cache busting
-      res.setHeader('Cache-Control', 'max-age=0, no-cache, no-store, must-revalidate, proxy-revalidate');
-      res.setHeader('Pragma', 'no-cache');
-      res.setHeader('Expires', '0');
-    } else if (cacheSeconds && parseInt(cacheSeconds) > 0) {
-      // User specified custom cache duration
-      res.setHeader('Cache-Control', `public, max-age=${parseInt(cacheSeconds)}`);
-    } else {
-      // Default: no-cache but allow some caching (GitHub will still cache briefly)
-      res.setHeader('Cache-Control', 'max-age=0, no-cache, no-store, must-revalidate');
+    // Default: no-cache but allow some caching (GitHub will still cache briefly)
+    setCacheHeaders(res, { v, cacheSeconds }, 'max-age=0, no-cache, no-store, must-revalidate');
+    // Upstream failed and the last good value was used instead
+    if (badgeInstance.stale) {
+      res.setHeader('X-Badge-Stale', 'true');
+      // Deprecated (RFC 9111), kept for clients that still read it
+      res.setHeader('Warning', '110 - "Response is Stale"');
     }
 
-    res.send(svg);
+    await sendBadge(res, svg, output);
   } catch (error) {
+    if (error.statusCode) return res.status(error.statusCode).send(error.message);
     console.error('Error generating dynamic badge:', error);
     console.error('Error stack:', error.stack);
-    console.error('Request params:', { type, repo, packageName, text, icon, bgColor, iconColor, textColor, edges, v, cacheSeconds });
+    console.error('Request params:', { type, repo, packageName, text, icon, bgColor, iconColor, textColor, edges, style, v, cacheSeconds });
     res.status(500).send('Internal Server Error');
   }
 });
 
+/**
+ * Icon cache counters (hits, misses, revalidations, ...) for monitoring.
+ */
+app.get('/metrics/icon-cache', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(getIconCacheStats());
+});
+
+/**
+ * Upstream API response cache statistics.
+ */
+app.get('/metrics/upstream-cache', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json(getUpstreamCacheStats());
+});
+
+/**
+ * GitHub rate limit left on each configured token.
+ */
+app.get('/metrics/github', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.json({ tokens: getGitHubClient().getRateLimits() });
+});
+
+/**
+ * View history for a repo as a series plus summary numbers.
+ * `granularity=hour` only covers the last HOURLY_RETENTION_HOURS.
+ */
+app.get('/api/views/:namespace/:name', async (req, res) => {
+  const { from, to, granularity = 'day' } = req.query;
+
+  let repo;
+  try {
+    repo = normalizeCounterKey(`${req.params.namespace}/${req.params.name}`);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `Invalid granularity "${granularity}". Use one of: ${GRANULARITIES.join(', ')}` });
+  }
+
+  const now = new Date();
+  let toDate = to ? parseDateParam(to) : now;
+  if (!toDate) return res.status(400).json({ error: `Invalid to date: "${to}"` });
+
+  // No bucket is ever in the future, and bucket names stop sorting by date
+  // past year 9999, which would keep listBuckets going forever
+  if (toDate > now) toDate = now;
+
+  // Defaults to the last 30 days, or the whole hourly window
+  const defaultSpan = granularity === 'hour' ? (HOURLY_RETENTION_HOURS - 1) * 60 * 60 * 1000 : 29 * 24 * 60 * 60 * 1000;
+  let fromDate = from ? parseDateParam(from) : new Date(toDate.getTime() - defaultSpan);
+  if (!fromDate) return res.status(400).json({ error: `Invalid from date: "${from}"` });
+  if (fromDate > toDate) return res.status(400).json({ error: 'from must not be after to' });
+
+  // Hourly buckets only exist inside the retention window
+  if (granularity === 'hour') {
+    const cutoff = bucketToDate(getHourlyCutoff(now));
+    if (fromDate < cutoff) fromDate = cutoff;
+  }
+
+  if (toDate - fromDate > MAX_HISTORY_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({ error: `Ranges are limited to ${MAX_HISTORY_DAYS} days` });
+  }
+
+  try {
+    const counter = getViewCounter();
+    const fromBucket = toBucket(fromDate, granularity);
+    const toBucketName = toBucket(toDate, granularity);
+
+    const buckets = await counter.getHistory(repo, granularity, fromBucket, toBucketName);
+    const series = listBuckets(fromDate, toDate, granularity).map(bucket => ({ bucket, count: buckets.get(bucket) || 0 }));
+
+    const allDays = await counter.getHistory(repo, 'day');
+
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json({
+      repo,
+      granularity,
+      from: fromBucket,
+      to: toBucketName,
+      series,
+      summary: {
+        total: await counter.get(repo),
+        rangeTotal: series.reduce((sum, point) => sum + point.count, 0),
+        ...summarizeDays(allDays)
+      }
+    });
+  } catch (error) {
+    console.error('Error reading view history:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+/**
+ * Counter administration (token protected, see routes/admin.js).
+ */
+app.use('/api/admin', adminRouter);
+
+/**
+ * Reports whether each counter store is reachable.
+ */
+app.get('/health/counters', async (req, res) => {
+  const health = await getViewCounter().health();
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(health.ok ? 200 : 503).json(health);
+});
+
 /**
  * Serves the main app page with the badge builder UI.
  */
@@ -155,8 +678,8 @@ app.listen(port, async () => {
 
   // Initialize persistent storage on server startup
   try {
-    await initializeMemoryStorage();
-    console.log('Persistent storage initialized successfully');
+    const loaded = await getViewCounter().initialize();
+    console.log(`Persistent storage initialized with ${loaded} counters`);
   } catch (error) {
     console.warn('Failed to initialize persistent storage:', error.message);
   }
@@ -0,0 +1,406 @@
+const path = require('path');
+const { MemoryCounterStore } = require('./MemoryCounterStore');
+const { FileCounterStore } = require('./FileCounterStore');
+const { RedisCounterStore } = require('./RedisCounterStore');
+const { UpstashCounterStore } = require('./UpstashCounterStore');
+const { PostgresCounterStore } = require('./PostgresCounterStore');
+const { toBucket } = require('../utils/historyUtils');
+
+// Storage path for persistent view counts (fallback for local development)
+const STORAGE_PATH = path.join(__dirname, '..', 'storage');
+
+// Detect serverless environments where file system is read-only
+const isServerless = Boolean(process.env.VERCEL || process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.FUNCTION_NAME || process.env.LAMBDA_TASK_ROOT);
+
+/**
+ * Builders for every persistent store COUNTER_STORES can name ("memory"
+ * is always last in the chain anyway). Each gets the process
+ * env and returns a store, or throws if it isn't configured. Add a backend
+ * with registerCounterStore() instead of touching the badges.
+ */
+const COUNTER_STORES = {
+  redis: (env) => {
+    if (!env.REDIS_URL) throw new Error('REDIS_URL is not set');
+    return new RedisCounterStore({ url: env.REDIS_URL });
+  },
+  upstash: (env) => {
+    if (!env.UPSTASH_REDIS_REST_URL || !env.UPSTASH_REDIS_REST_TOKEN) {
+      throw new Error('UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN are not set');
+    }
+    return new UpstashCounterStore({ url: env.UPSTASH_REDIS_REST_URL, token: env.UPSTASH_REDIS_REST_TOKEN });
+  },
+  postgres: (env) => {
+    if (!env.DATABASE_URL) throw new Error('DATABASE_URL is not set');
+    return new PostgresCounterStore({ connectionString: env.DATABASE_URL });
+  },
+  file: (env) => {
+    if (isServerless) throw new Error('file storage is not available in serverless environments');
+    return new FileCounterStore({ directory: env.COUNTER_FILE_DIR || STORAGE_PATH });
+  }
+};
+
+/**
+ * Makes a new backend available to COUNTER_STORES.
+ * @param {string} name - Name used in COUNTER_STORES
+ * @param {Function} build - (env) => CounterStore
+ */
+function registerCounterStore(name, build) {
+  COUNTER_STORES[name] = build;
+}
+
+/**
+ * Picks the stores to use when COUNTER_STORES isn't set: the same order the
+ * server has always used (one Redis, then Postgres, then files).
+ * @param {Object} env - Process env
+ * @returns {string[]} Store names
+ */
+function getDefaultStoreNames(env) {
+  const names = [];
+  if (env.REDIS_URL) names.push('redis');
+  else if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) names.push('upstash');
+  if (env.DATABASE_URL) names.push('postgres');
+  if (!isServerless) names.push('file');
+  return names;
+}
+
+/**
+ * Counters spread over an ordered list of stores. Reads come from the first
+ * store that has the key, increments go to every store and the first
+ * answer wins. A memory store always sits at the end as a cache and as the
+ * last resort when nothing persistent answers.
+ */
+class CounterChain {
+  constructor(stores) {
+    this.memory = new MemoryCounterStore();
+    this.stores = stores;
+  }
+
+  /**
+   * Finds a store in the chain by name ("memory" is the chain's own cache).
+   * @param {string} name - Store name
+   * @returns {CounterStore|null} Store, or null if the chain doesn't use it
+   */
+  getStore(name) {
+    if (name === 'memory') return this.memory;
+    return this.stores.find(store => store.name === name) || null;
+  }
+
+  /**
+   * Reads a count from the first store that has it.
+   * @param {string} key - Counter name
+   * @returns {Promise<number>} Count, 0 if no store has it
+   */
+  async get(key) {
+    for (const store of this.stores) {
+      try {
+        const count = await store.get(key);
+        if (count !== null) {
+          // Sync memory storage for faster subsequent access
+          await this.memory.set(key, count);
+          return count;
+        }
+      } catch (error) {
+        console.warn(`${store.name} get failed, trying the next store:`, error.message);
+      }
+    }
+
+    return await this.memory.get(key) || 0;
+  }
+
+  /**
+   * Adds to a count in every store. Each store increments atomically on its
+   * own side, so concurrent requests can't lose counts.
+   * @param {string} key - Counter name
+   * @param {number} amount - How much to add
+   * @returns {Promise<number>} Count from the first store that answered
+   */
+  async increment(key, amount = 1) {
+    return this.addEverywhere('increment', key, amount);
+  }
+
+  /**
+   * Adds to a count in every store without it counting as views, see
+   * CounterStore.add().
+   * @param {string} key - Counter name
+   * @param {number} amount - How much to add
+   * @returns {Promise<number>} Count from the first store that answered
+   */
+  async add(key, amount) {
+    return this.addEverywhere('add', key, amount);
+  }
+
+  /**
+   * Runs increment() or add() on every store.
+   * @param {string} method - "increment" or "add"
+   * @param {string} key - Counter name
+   * @param {number} amount - How much to add
+   * @returns {Promise<number>} Count from the first store that answered
+   */
+  async addEverywhere(method, key, amount) {
+    let count = null;
+
+    for (const store of this.stores) {
+      try {
+        const storeCount = await store[method](key, amount);
+        if (count === null) count = storeCount;
+      } catch (error) {
+        console.warn(`${store.name} ${method} failed, trying the next store:`, error.message);
+      }
+    }
+
+    if (count === null) {
+      return this.memory[method](key, amount);
+    }
+
+    // Responses can arrive out of order, so never move the cached count backwards
+    await this.memory.set(key, Math.max(await this.memory.get(key) || 0, count));
+    return count;
+  }
+
+  /**
+   * Overwrites a count in every store.
+   * @param {string} key - Counter name
+   * @param {number} count - New count
+   */
+  async set(key, count) {
+    for (const store of this.stores) {
+      try {
+        await store.set(key, count);
+      } catch (error) {
+        console.warn(`${store.name} set failed:`, error.message);
+      }
+    }
+    await this.memory.set(key, count);
+  }
+
+  /**
+   * Lists every count from the first store that answers.
+   * @returns {Promise<Map<string, number>>} Counts by key
+   */
+  async list() {
+    for (const store of this.stores) {
+      try {
+        return await store.list();
+      } catch (error) {
+        console.warn(`${store.name} list failed, trying the next store:`, error.message);
+      }
+    }
+    return this.memory.list();
+  }
+
+  /**
+   * Removes a count from every store.
+   * @param {string} key - Counter name
+   * @returns {Promise<boolean>} Whether any store had it
+   */
+  async delete(key) {
+    let existed = await this.memory.delete(key);
+    for (const store of this.stores) {
+      try {
+        existed = await store.delete(key) || existed;
+      } catch (error) {
+        console.warn(`${store.name} delete failed:`, error.message);
+      }
+    }
+    return existed;
+  }
+
+  /**
+   * Marks a key as seen in the first store that supports markers, so every
+   * server instance shares one view of who was already counted.
+   * @param {string} key - Marker name
+   * @param {number} ttlSeconds - How long the marker lasts
+   * @returns {Promise<boolean>} True if the key wasn't already marked
+   */
+  async markSeen(key, ttlSeconds) {
+    for (const store of this.stores) {
+      try {
+        const firstSeen = await store.markSeen(key, ttlSeconds);
+        if (firstSeen !== null) return firstSeen;
+      } catch (error) {
+        console.warn(`${store.name} markSeen failed, trying the next store:`, error.message);
+      }
+    }
+    return this.memory.markSeen(key, ttlSeconds);
+  }
+
+  /**
+   * Adds to the daily and hourly history buckets in every store that keeps
+   * history, falling back to memory when none does.
+   * @param {string} key - Counter name
+   * @param {Date} date - When the views happened
+   * @param {number} amount - How many views
+   */
+  async recordHistory(key, date = new Date(), amount = 1) {
+    let recorded = false;
+
+    for (const store of this.stores) {
+      try {
+        const day = await store.incrementBucket(key, 'day', toBucket(date, 'day'), amount);
+        const hour = await store.incrementBucket(key, 'hour', toBucket(date, 'hour'), amount);
+        if (day !== null || hour !== null) recorded = true;
+      } catch (error) {
+        console.warn(`${store.name} history update failed:`, error.message);
+      }
+    }
+
+    if (!recorded) {
+      await this.memory.incrementBucket(key, 'day', toBucket(date, 'day'), amount);
+      await this.memory.incrementBucket(key, 'hour', toBucket(date, 'hour'), amount);
+    }
+  }
+
+  /**
+   * Reads history buckets from the first store that keeps history.
+   * @param {string} key - Counter name
+   * @param {string} granularity - "day" or "hour"
+   * @param {string|null} from - First bucket, or null for no lower bound
+   * @param {string|null} to - Last bucket, or null for no upper bound
+   * @returns {Promise<Map<string, number>>} Counts by bucket
+   */
+  async getHistory(key, granularity, from = null, to = null) {
+    for (const store of this.stores) {
+      try {
+        const buckets = await store.getBuckets(key, granularity, from, to);
+        if (buckets !== null) return buckets;
+      } catch (error) {
+        console.warn(`${store.name} history read failed, trying the next store:`, error.message);
+      }
+    }
+    return this.memory.getBuckets(key, granularity, from, to);
+  }
+
+  /**
+   * Health of every store, in chain order.
+   * @returns {Promise<Object>} { ok, stores: [{ name, ok, ... }] }
+   */
+  async health() {
+    const stores = [];
+    for (const store of [...this.stores, this.memory]) {
+      try {
+        stores.push({ name: store.name, ...await store.health() });
+      } catch (error) {
+        stores.push({ name: store.name, ok: false, error: error.message });
+      }
+    }
+    // Healthy as long as something persistent (or memory, if that's all there is) works
+    const persistent = stores.slice(0, this.stores.length);
+    return { ok: persistent.length ? persistent.some(store => store.ok) : true, stores };
+  }
+
+  /**
+   * Warms the memory store from the first store that answers, so counts
+   * survive a restart even if every store goes away later.
+   * @returns {Promise<number>} Number of counters loaded
+   */
+  async initialize() {
+    const counts = await this.list();
+    for (const [key, count] of counts) {
+      await this.memory.set(key, count);
+    }
+    return counts.size;
+  }
+
+  /**
+   * Brings stores that disagree back in line. Counts only ever go up, so
+   * the highest value any store has wins and the others are raised to it.
+   * Raises go through add() so counts added meanwhile are kept, without
+   * showing up as views.
+   * @returns {Promise<Array<Object>>} { key, count, updated } for every counter
+   */
+  async reconcile() {
+    const countsByStore = new Map();
+    for (const store of [...this.stores, this.memory]) {
+      try {
+        countsByStore.set(store, await store.list());
+      } catch (error) {
+        console.warn(`Could not read ${store.name} counts, leaving it out of reconciliation:`, error.message);
+      }
+    }
+
+    const keys = new Set();
+    countsByStore.forEach(counts => counts.forEach((count, key) => keys.add(key)));
+
+    const report = [];
+
+    for (const key of keys) {
+      const target = Math.max(...[...countsByStore.values()].map(counts => counts.get(key) || 0));
+      const updated = [];
+
+      for (const [store, counts] of countsByStore) {
+        const current = counts.get(key) || 0;
+        if (current >= target) continue;
+
+        try {
+          await store.add(key, target - current);
+          if (store !== this.memory) updated.push(store.name);
+        } catch (error) {
+          console.warn(`Failed to reconcile ${key} in ${store.name}:`, error.message);
+        }
+      }
+
+      report.push({ key, count: target, updated });
+    }
+
+    return report;
+  }
+}
+
+/**
+ * Builds a single store by name, e.g. to copy into a backend the chain
+ * doesn't use yet.
+ * @param {string} name - Store name from COUNTER_STORES
+ * @param {Object} env - Process env
+ * @returns {CounterStore} Store
+ */
+function createCounterStore(name, env = process.env) {
+  if (name === 'memory') return new MemoryCounterStore();
+  if (!Object.hasOwn(COUNTER_STORES, name)) {
+    throw new Error(`Unknown counter store "${name}"`);
+  }
+  return COUNTER_STORES[name](env);
+}
+
+/**
+ * Builds the chain from COUNTER_STORES (comma separated store names, in
+ * priority order), or from whatever is configured when it isn't set.
+ * Stores that can't be built are skipped with a warning.
+ * @param {Object} env - Process env
+ * @returns {CounterChain} Counter chain
+ */
+function createCounterChain(env = process.env) {
+  const names = env.COUNTER_STORES
+    ? env.COUNTER_STORES.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : getDefaultStoreNames(env);
+
+  const stores = [];
+  for (const name of names) {
+    // The chain always ends in memory, listing it just means "nothing else"
+    if (name === 'memory') continue;
+    if (!Object.hasOwn(COUNTER_STORES, name)) {
+      console.warn(`Unknown counter store "${name}", skipping`);
+      continue;
+    }
+    try {
+      stores.push(COUNTER_STORES[name](env));
+      console.log(`Counter store "${name}" enabled`);
+    } catch (error) {
+      console.warn(`Counter store "${name}" unavailable:`, error.message);
+    }
+  }
+
+  return new CounterChain(stores);
+}
+
+let viewCounter = null;
+
+/**
+ * The chain used for view counts, created on first use.
+ * @returns {CounterChain} Shared counter chain
+ */
+function getViewCounter() {
+  if (!viewCounter) viewCounter = createCounterChain();
+  return viewCounter;
+}
+
+module.exports = { CounterChain, createCounterChain, createCounterStore, registerCounterStore, getViewCounter };
@@ -0,0 +1,118 @@
+/**
+ * Interface every counter backend implements. Keys are counter names like
+ * "owner/repo", counts are non-negative integers.
+ *
+ * increment() must be atomic on the backend's side (INCR, a single UPDATE,
+ * a lock...) so concurrent requests never lose a count. Everything else can
+ * be as simple as the backend allows.
+ */
+class CounterStore {
+  constructor(name) {
+    this.name = name; // Shown in logs, health output and reconcile reports
+  }
+
+  /**
+   * Reads a count.
+   * @param {string} key - Counter name
+   * @returns {Promise<number|null>} Count, or null if the key doesn't exist
+   */
+  async get(key) {
+    throw new Error('get() must be implemented by subclass');
+  }
+
+  /**
+   * Atomically adds to a count, creating it at 0 first if needed.
+   * @param {string} key - Counter name
+   * @param {number} amount - How much to add
+   * @returns {Promise<number>} Count after the increment
+   */
+  async increment(key, amount = 1) {
+    throw new Error('increment() must be implemented by subclass');
+  }
+
+  /**
+   * Atomically adds to a count without it counting as views: imports,
+   * reconciling and admin raises. Only differs from increment() on stores
+   * that keep a per-view log.
+   * @param {string} key - Counter name
+   * @param {number} amount - How much to add
+   * @returns {Promise<number>} Count after the addition
+   */
+  async add(key, amount) {
+    return this.increment(key, amount);
+  }
+
+  /**
+   * Overwrites a count.
+   * @param {string} key - Counter name
+   * @param {number} count - New count
+   */
+  async set(key, count) {
+    throw new Error('set() must be implemented by subclass');
+  }
+
+  /**
+   * Reads every stored count.
+   * @returns {Promise<Map<string, number>>} Counts by key
+   */
+  async list() {
+    throw new Error('list() must be implemented by subclass');
+  }
+
+  /**
+   * Removes a count.
+   * @param {string} key - Counter name
+   * @returns {Promise<boolean>} Whether the key existed
+   */
+  async delete(key) {
+    throw new Error('delete() must be implemented by subclass');
+  }
+
+  /**
+   * Records that something was seen, for de-duplication (e.g. unique
+   * visitors). Optional: stores that can't expire keys return null and the
+   * chain asks the next one.
+   * @param {string} key - Marker name
+   * @param {number} ttlSeconds - How long the marker lasts
+   * @returns {Promise<boolean|null>} True if the key wasn't already marked
+   */
+  async markSeen(key, ttlSeconds) {
+    return null;
+  }
+
+  /**
+   * Adds to a history bucket (see utils/historyUtils.js for bucket names).
+   * Hourly buckets only need to be kept for HOURLY_RETENTION_HOURS.
+   * Optional: stores without history return null.
+   * @param {string} key - Counter name
+   * @param {string} granularity - "day" or "hour"
+   * @param {string} bucket - Bucket name, e.g. "2024-05-01"
+   * @param {number} amount - How much to add
+   * @returns {Promise<number|null>} Bucket count after the increment
+   */
+  async incrementBucket(key, granularity, bucket, amount = 1) {
+    return null;
+  }
+
+  /**
+   * Reads history buckets in a range. Missing buckets are simply absent.
+   * @param {string} key - Counter name
+   * @param {string} granularity - "day" or "hour"
+   * @param {string|null} from - First bucket, or null for no lower bound
+   * @param {string|null} to - Last bucket, or null for no upper bound
+   * @returns {Promise<Map<string, number>|null>} Counts by bucket, null without history
+   */
+  async getBuckets(key, granularity, from, to) {
+    return null;
+  }
+
+  /**
+   * Checks that the backend is reachable.
+   * @returns {Promise<Object>} { ok, ... } plus whatever details help debugging
+   */
+  async health() {
+    return { ok: true };
+  }
+}
+
+module.exports = { CounterStore };
@@ -0,0 +1,280 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { CounterStore } = require('./CounterStore');
+const { isBucketInRange, pruneHourlyBuckets } = require('../utils/historyUtils');
+const { toFileName, fromFileName } = require('../utils/counterKeys');
+
+// How long to wait for another process's file lock, and when to call it abandoned
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 10000;
+
+/**
+ * Counts kept as plain files in storage/ for local development: one
+ * `<file>-views-count` file per counter plus a `<file>-views` log with a
+ * timestamp per view. History buckets go in `<file>-views-history.json`.
+ * `<file>` is the key with "/" written as "~" (see toFileName), e.g.
+ * `owner~repo-views-count`. Older `owner-repo-views-count` files are moved
+ * over by scripts/migrate-counter-keys.js.
+ */
+class FileCounterStore extends CounterStore {
+  constructor({ directory }) {
+    super('file');
+    this.directory = directory;
+    this.locks = new Map(); // Pending work per count file
+  }
+
+  /**
+   * Whether a key's files land directly in the storage directory. Keys that
+   * passed isValidStoredKey always do; older keys might not ("a/../../../x").
+   * @param {string} key - Counter name
+   * @returns {boolean} True if safe to read and write
+   */
+  ownsKey(key) {
+    // toFileName swaps the first "/", so any separator left starts a path
+    return !/[/\\\0]/.test(toFileName(key));
+  }
+
+  /**
+   * Path of one of a counter's files, refusing any outside the directory.
+   * @param {string} key - Counter name
+   * @param {string} suffix - File suffix, e.g. "-views-count"
+   * @returns {string} File path
+   */
+  resolveFilePath(key, suffix) {
+    if (!this.ownsKey(key)) {
+      const error = new Error(`Counter key "${key}" points outside the storage directory`);
+      error.code = 'INVALID_KEY';
+      throw error;
+    }
+    return path.join(this.directory, `${toFileName(key)}${suffix}`);
+  }
+
+  /**
+   * Get the file path for a counter
+   * @param {string} key - Counter name
+   * @returns {string} File path
+   */
+  getCountFilePath(key) {
+    return this.resolveFilePath(key, '-views-count');
+  }
+
+  /**
+   * Get the file path for a counter's view log
+   * @param {string} key - Counter name
+   * @returns {string} File path
+   */
+  getLogFilePath(key) {
+    return this.resolveFilePath(key, '-views');
+  }
+
+  /**
+   * Get the file path for a counter's history buckets
+   * @param {string} key - Counter name
+   * @returns {string} File path
+   */
+  getHistoryFilePath(key) {
+    return this.resolveFilePath(key, '-views-history.json');
+  }
+
+  /**
+   * Reads a counter's history file.
+   * @param {string} key - Counter name
+   * @returns {Promise<Object>} { day: {}, hour: {} }
+   */
+  async readHistory(key) {
+    try {
+      const history = JSON.parse(await fs.readFile(this.getHistoryFilePath(key), 'utf8'));
+      return { day: history.day || {}, hour: history.hour || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { day: {}, hour: {} };
+      throw error;
+    }
+  }
+
+  /**
+   * Serializes work on a count file: a promise chain per file for this
+   * process, plus a lock file so several server processes sharing the
+   * directory don't interleave their read-modify-write either.
+   * @param {string} filePath - Count file to lock
+   * @param {Function} task - Async work to run while holding the lock
+   * @returns {Promise<*>} Whatever the task returns
+   */
+  async withLock(filePath, task) {
+    const previous = this.locks.get(filePath) || Promise.resolve();
+    const run = previous.then(() => withLockFile(filePath, task));
+    const tail = run.catch(() => {});
+    this.locks.set(filePath, tail);
+
+    try {
+      return await run;
+    } finally {
+      if (this.locks.get(filePath) === tail) this.locks.delete(filePath);
+    }
+  }
+
+  async get(key) {
+    try {
+      const data = await fs.readFile(this.getCountFilePath(key), 'utf8');
+      return parseInt(data.trim(), 10) || 0;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async increment(key, amount = 1) {
+    return this.addToCount(key, amount, true);
+  }
+
+  async add(key, amount) {
+    return this.addToCount(key, amount, false);
+  }
+
+  /**
+   * Adds to a count under the file lock.
+   * @param {string} key - Counter name
+   * @param {number} amount - How much to add
+   * @param {boolean} logViews - Whether to log a timestamp per view
+   * @returns {Promise<number>} Count after the addition
+   */
+  async addToCount(key, amount, logViews) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = this.getCountFilePath(key);
+
+    return this.withLock(filePath, async () => {
+      const count = (await this.get(key) || 0) + amount;
+
+      if (logViews) {
+        await fs.appendFile(this.getLogFilePath(key), `${new Date().toISOString()}\n`.repeat(amount));
+      }
+
+      await writeFileAtomic(filePath, count.toString());
+      return count;
+    });
+  }
+
+  async set(key, count) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = this.getCountFilePath(key);
+    await this.withLock(filePath, () => writeFileAtomic(filePath, count.toString()));
+  }
+
+  async list() {
+    const counts = new Map();
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return counts;
+      throw error;
+    }
+
+    for (const countFile of files.filter(file => file.endsWith('-views-count'))) {
+      // Files from before namespaced keys can't be mapped back reliably
+      const key = fromFileName(countFile.replace(/-views-count$/, ''));
+      if (key) counts.set(key, await this.get(key) || 0);
+    }
+
+    return counts;
+  }
+
+  async delete(key) {
+    const filePath = this.getCountFilePath(key);
+    return this.withLock(filePath, async () => {
+      await fs.rm(this.getLogFilePath(key), { force: true });
+      await fs.rm(this.getHistoryFilePath(key), { force: true });
+      try {
+        await fs.unlink(filePath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  async incrementBucket(key, granularity, bucket, amount = 1) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const historyPath = this.getHistoryFilePath(key);
+
+    return this.withLock(historyPath, async () => {
+      const history = await this.readHistory(key);
+      const buckets = history[granularity];
+
+      buckets[bucket] = (buckets[bucket] || 0) + amount;
+      pruneHourlyBuckets(history.hour);
+
+      await writeFileAtomic(historyPath, JSON.stringify(history));
+      return buckets[bucket] || 0;
+    });
+  }
+
+  async getBuckets(key, granularity, from, to) {
+    const buckets = (await this.readHistory(key))[granularity];
+    return new Map(Object.entries(buckets).filter(([bucket]) => isBucketInRange(bucket, from, to)));
+  }
+
+  async health() {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.access(this.directory, require('fs').constants.W_OK);
+    return { ok: true, directory: this.directory };
+  }
+}
+
+/**
+ * Holds an exclusive lock file (created with O_EXCL) while the task runs.
+ * Locks older than STALE_LOCK_MS are assumed to belong to a crashed process.
+ * @param {string} filePath - Count file to lock
+ * @param {Function} task - Async work to run while holding the lock
+ * @returns {Promise<*>} Whatever the task returns
+ */
+async function withLockFile(filePath, task) {
+  const lockPath = `${filePath}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      try {
+        const stat = await fs.stat(lockPath);
+        if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+          await fs.unlink(lockPath).catch(() => {});
+          continue;
+        }
+      } catch (statError) {
+        // Released between our open and stat, try again right away
+        continue;
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+  }
+
+  try {
+    return await task();
+  } finally {
+    await fs.unlink(lockPath).catch(() => {});
+  }
+}
+
+/**
+ * Replaces a file via a temp file and rename, so readers never see it
+ * half-written.
+ * @param {string} filePath - File to replace
+ * @param {string} data - New contents
+ */
+async function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, data, 'utf8');
+  await fs.rename(tempPath, filePath);
+}
+
+module.exports = { FileCounterStore };
@@ -0,0 +1,85 @@
+const { CounterStore } = require('./CounterStore');
+const { isBucketInRange, pruneHourlyBuckets } = require('../utils/historyUtils');
+
+// Upper bound on de-duplication markers kept in memory
+const MAX_SEEN_MARKERS = 100000;
+
+/**
+ * Counts kept in a Map. Lost on restart, so it's the last resort in
+ * production and the whole store in tests.
+ */
+class MemoryCounterStore extends CounterStore {
+  constructor() {
+    super('memory');
+    this.counts = new Map();
+    this.seen = new Map(); // Marker -> expiry timestamp
+    this.history = new Map(); // Key -> { day: Map, hour: Map }
+  }
+
+  async get(key) {
+    return this.counts.has(key) ? this.counts.get(key) : null;
+  }
+
+  async increment(key, amount = 1) {
+    // Synchronous read and write, so nothing can run in between
+    const count = (this.counts.get(key) || 0) + amount;
+    this.counts.set(key, count);
+    return count;
+  }
+
+  async set(key, count) {
+    this.counts.set(key, count);
+  }
+
+  async list() {
+    return new Map(this.counts);
+  }
+
+  async delete(key) {
+    this.history.delete(key);
+    return this.counts.delete(key);
+  }
+
+  async markSeen(key, ttlSeconds) {
+    const now = Date.now();
+
+    // Sweep expired markers once the map grows, so it can't grow forever
+    if (this.seen.size >= MAX_SEEN_MARKERS) {
+      for (const [marker, expiresAt] of this.seen) {
+        if (expiresAt <= now) this.seen.delete(marker);
+      }
+      // Still full of live markers: drop the oldest
+      while (this.seen.size >= MAX_SEEN_MARKERS) {
+        this.seen.delete(this.seen.keys().next().value);
+      }
+    }
+
+    const expiresAt = this.seen.get(key);
+    if (expiresAt && expiresAt > now) return false;
+
+    this.seen.delete(key);
+    this.seen.set(key, now + ttlSeconds * 1000);
+    return true;
+  }
+
+  async incrementBucket(key, granularity, bucket, amount = 1) {
+    if (!this.history.has(key)) this.history.set(key, { day: new Map(), hour: new Map() });
+    const buckets = this.history.get(key)[granularity];
+
+    const count = (buckets.get(bucket) || 0) + amount;
+    buckets.set(bucket, count);
+    if (granularity === 'hour') pruneHourlyBuckets(buckets);
+    return count;
+  }
+
+  async getBuckets(key, granularity, from, to) {
+    const buckets = this.history.has(key) ? this.history.get(key)[granularity] : new Map();
+    return new Map([...buckets].filter(([bucket]) => isBucketInRange(bucket, from, to)));
+  }
+
+  async health() {
+    return { ok: true, keys: this.counts.size };
+  }
+}
+
+module.exports = { MemoryCounterStore };
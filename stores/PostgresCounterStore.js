@@ -0,0 +1,199 @@
+const { CounterStore } = require('./CounterStore');
+const { getHourlyCutoff } = require('../utils/historyUtils');
+
+// Old hourly buckets and expired seen markers are cleaned up at most this often
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Counts in a PostgreSQL `view_counts` table (e.g. Heroku Postgres), with
+ * history buckets in `view_history` and de-duplication markers in
+ * `seen_markers`. Tables are created on first use.
+ */
+class PostgresCounterStore extends CounterStore {
+  constructor({ connectionString }) {
+    super('postgres');
+    this.connectionString = connectionString;
+    this.client = null;
+    this.ready = null;
+    this.lastPrune = 0;
+    this.lastMarkerPrune = 0;
+  }
+
+  /**
+   * Connects and creates the table once, shared by every caller. A pg Client
+   * can only ever connect once, so each attempt gets a new one.
+   * @returns {Promise<Object>} Connected pg client
+   */
+  async connect() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        const client = this.createClient();
+        try {
+          await client.connect();
+          await client.query(`
+            CREATE TABLE IF NOT EXISTS view_counts (
+              repo VARCHAR(255) PRIMARY KEY,
+              count INTEGER NOT NULL DEFAULT 0,
+              updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+          `);
+          await client.query(`
+            CREATE TABLE IF NOT EXISTS view_history (
+              repo VARCHAR(255) NOT NULL,
+              granularity VARCHAR(4) NOT NULL,
+              bucket VARCHAR(13) NOT NULL,
+              count INTEGER NOT NULL DEFAULT 0,
+              PRIMARY KEY (repo, granularity, bucket)
+            )
+          `);
+          await client.query(`
+            CREATE TABLE IF NOT EXISTS seen_markers (
+              key TEXT PRIMARY KEY,
+              expires_at TIMESTAMP NOT NULL
+            )
+          `);
+          // Markers are "<key>:<visitor hash>", which outgrows VARCHAR(255) for
+          // long keys. Tables made before that are widened in place
+          await client.query('ALTER TABLE seen_markers ALTER COLUMN key TYPE TEXT');
+          await client.query('CREATE INDEX IF NOT EXISTS seen_markers_expires_at ON seen_markers (expires_at)');
+        } catch (error) {
+          client.end().catch(() => {});
+          throw error;
+        }
+        this.client = client;
+        return client;
+      })();
+      // Let the next call retry instead of caching a failed connection
+      this.ready.catch(() => { this.ready = null; });
+    }
+    return this.ready;
+  }
+
+  /**
+   * A new pg client that makes the store reconnect once it errors or closes.
+   * @returns {Object} Unconnected pg client
+   */
+  createClient() {
+    const { Client } = require('pg');
+    const client = new Client({
+      connectionString: this.connectionString,
+      ssl: { rejectUnauthorized: false } // Required for Heroku Postgres
+    });
+    client.on('error', (err) => {
+      console.warn('PostgreSQL client error (non-fatal):', err.message);
+      this.forget(client);
+    });
+    client.on('end', () => this.forget(client));
+    return client;
+  }
+
+  /**
+   * Drops a dead client so the next call connects again.
+   * @param {Object} client - pg client that errored or closed
+   */
+  forget(client) {
+    if (this.client !== client) return;
+    this.client = null;
+    this.ready = null;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const result = await client.query('SELECT count FROM view_counts WHERE repo = $1', [key]);
+    return result.rows.length > 0 ? result.rows[0].count : null;
+  }
+
+  async increment(key, amount = 1) {
+    const client = await this.connect();
+    const result = await client.query(`
+      INSERT INTO view_counts (repo, count, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (repo) DO UPDATE SET
+        count = view_counts.count + EXCLUDED.count,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING count
+    `, [key, amount]);
+    return result.rows[0].count;
+  }
+
+  async set(key, count) {
+    const client = await this.connect();
+    await client.query(`
+      INSERT INTO view_counts (repo, count, updated_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      ON CONFLICT (repo) DO UPDATE SET
+        count = EXCLUDED.count,
+        updated_at = CURRENT_TIMESTAMP
+    `, [key, count]);
+  }
+
+  async list() {
+    const client = await this.connect();
+    const result = await client.query('SELECT repo, count FROM view_counts');
+    return new Map(result.rows.map(row => [row.repo, row.count]));
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    await client.query('DELETE FROM view_history WHERE repo = $1', [key]);
+    const result = await client.query('DELETE FROM view_counts WHERE repo = $1', [key]);
+    return result.rowCount > 0;
+  }
+
+  async markSeen(key, ttlSeconds) {
+    const client = await this.connect();
+    // Only an expired marker gets replaced, so exactly one caller wins per window
+    const result = await client.query(`
+      INSERT INTO seen_markers (key, expires_at)
+      VALUES ($1, CURRENT_TIMESTAMP + make_interval(secs => $2))
+      ON CONFLICT (key) DO UPDATE SET expires_at = EXCLUDED.expires_at
+        WHERE seen_markers.expires_at <= CURRENT_TIMESTAMP
+    `, [key, ttlSeconds]);
+
+    // Expired markers are only ever overwritten by the same visitor coming
+    // back, so sweep the rest or the table keeps every visitor hash forever
+    if (Date.now() - this.lastMarkerPrune > PRUNE_INTERVAL_MS) {
+      this.lastMarkerPrune = Date.now();
+      await client.query('DELETE FROM seen_markers WHERE expires_at <= CURRENT_TIMESTAMP');
+    }
+
+    return result.rowCount > 0;
+  }
+
+  async incrementBucket(key, granularity, bucket, amount = 1) {
+    const client = await this.connect();
+    const result = await client.query(`
+      INSERT INTO view_history (repo, granularity, bucket, count)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (repo, granularity, bucket) DO UPDATE SET
+        count = view_history.count + EXCLUDED.count
+      RETURNING count
+    `, [key, granularity, bucket, amount]);
+
+    if (granularity === 'hour' && Date.now() - this.lastPrune > PRUNE_INTERVAL_MS) {
+      this.lastPrune = Date.now();
+      await client.query(`DELETE FROM view_history WHERE granularity = 'hour' AND bucket < $1`, [getHourlyCutoff()]);
+    }
+
+    return result.rows[0].count;
+  }
+
+  async getBuckets(key, granularity, from, to) {
+    const client = await this.connect();
+    const result = await client.query(`
+      SELECT bucket, count FROM view_history
+      WHERE repo = $1 AND granularity = $2
+        AND ($3::text IS NULL OR bucket >= $3)
+        AND ($4::text IS NULL OR bucket <= $4)
+    `, [key, granularity, from || null, to || null]);
+    return new Map(result.rows.map(row => [row.bucket, row.count]));
+  }
+
+  async health() {
+    const client = await this.connect();
+    await client.query('SELECT 1');
+    return { ok: true };
+  }
+}
+
+module.exports = { PostgresCounterStore };
@@ -0,0 +1,133 @@
+const { CounterStore } = require('./CounterStore');
+const { HOURLY_RETENTION_HOURS, bucketToDate, listBuckets, getHourlyCutoff, isBucketInRange } = require('../utils/historyUtils');
+
+/**
+ * Counts in a regular Redis server (e.g. Heroku Redis), one `views:<key>`
+ * string per counter. Daily history is a `history:day:<key>` hash, hourly
+ * history one `history:hour:<key>:<bucket>` string per hour that expires on
+ * its own. Connects lazily on first use.
+ */
+class RedisCounterStore extends CounterStore {
+  constructor({ url, prefix = 'views:' }) {
+    super('redis');
+    this.prefix = prefix;
+
+    const { createClient } = require('redis');
+    this.client = createClient({
+      url,
+      socket: {
+        tls: url.startsWith('rediss://'),
+        rejectUnauthorized: false,
+        connectTimeout: 60000,
+        keepAlive: 30000
+      }
+    });
+
+    // Without a listener a dropped connection would crash the process
+    this.client.on('error', (err) => {
+      console.warn('Redis client error (non-fatal):', err.message);
+    });
+  }
+
+  /**
+   * Returns the client, connecting first if needed.
+   * @returns {Promise<Object>} Connected redis client
+   */
+  async connect() {
+    if (!this.client.isOpen) {
+      await this.client.connect();
+    }
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const count = await client.get(this.prefix + key);
+    return count === null ? null : parseInt(count, 10) || 0;
+  }
+
+  async increment(key, amount = 1) {
+    const client = await this.connect();
+    return Number(await client.incrBy(this.prefix + key, amount));
+  }
+
+  async set(key, count) {
+    const client = await this.connect();
+    await client.set(this.prefix + key, count.toString());
+  }
+
+  async list() {
+    const client = await this.connect();
+    const counts = new Map();
+    for await (const keys of client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      // redis v5 yields batches, older clients single keys
+      for (const redisKey of [].concat(keys)) {
+        const count = await client.get(redisKey);
+        if (count !== null) counts.set(redisKey.slice(this.prefix.length), parseInt(count, 10) || 0);
+      }
+    }
+    return counts;
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    for await (const keys of client.scanIterator({ MATCH: `history:hour:${key}:*`, COUNT: 100 })) {
+      const hourKeys = [].concat(keys);
+      if (hourKeys.length) await client.del(hourKeys);
+    }
+    await client.del(`history:day:${key}`);
+    return (await client.del(this.prefix + key)) > 0;
+  }
+
+  async markSeen(key, ttlSeconds) {
+    const client = await this.connect();
+    return (await client.set(`seen:${key}`, '1', { NX: true, EX: ttlSeconds })) === 'OK';
+  }
+
+  async incrementBucket(key, granularity, bucket, amount = 1) {
+    const client = await this.connect();
+
+    if (granularity === 'day') {
+      return Number(await client.hIncrBy(`history:day:${key}`, bucket, amount));
+    }
+
+    const hourKey = `history:hour:${key}:${bucket}`;
+    const count = Number(await client.incrBy(hourKey, amount));
+    await client.expire(hourKey, (HOURLY_RETENTION_HOURS + 1) * 60 * 60);
+    return count;
+  }
+
+  async getBuckets(key, granularity, from, to) {
+    const client = await this.connect();
+
+    if (granularity === 'day') {
+      const days = await client.hGetAll(`history:day:${key}`);
+      return new Map(Object.entries(days)
+        .filter(([bucket]) => isBucketInRange(bucket, from, to))
+        .map(([bucket, count]) => [bucket, parseInt(count, 10) || 0]));
+    }
+
+    // Hourly keys expire, so only the retention window can hold anything
+    const cutoff = getHourlyCutoff();
+    const hours = listBuckets(
+      bucketToDate(from && from > cutoff ? from : cutoff),
+      to ? bucketToDate(to) : new Date(),
+      'hour'
+    );
+    const counts = hours.length ? await client.mGet(hours.map(hour => `history:hour:${key}:${hour}`)) : [];
+
+    const buckets = new Map();
+    hours.forEach((hour, index) => {
+      if (counts[index] !== null) buckets.set(hour, parseInt(counts[index], 10) || 0);
+    });
+    return buckets;
+  }
+
+  async health() {
+    const client = await this.connect();
+    await client.ping();
+    return { ok: true };
+  }
+}
+
+module.exports = { RedisCounterStore };
@@ -0,0 +1,101 @@
+const { CounterStore } = require('./CounterStore');
+const { HOURLY_RETENTION_HOURS, bucketToDate, listBuckets, getHourlyCutoff, isBucketInRange } = require('../utils/historyUtils');
+
+/**
+ * Counts in Upstash Redis over its REST API, for serverless deploys where a
+ * long-lived Redis connection isn't an option. Same key layout as
+ * RedisCounterStore.
+ */
+class UpstashCounterStore extends CounterStore {
+  constructor({ url, token, prefix = 'views:' }) {
+    super('upstash');
+    this.prefix = prefix;
+
+    const { Redis } = require('@upstash/redis');
+    this.client = new Redis({ url, token });
+  }
+
+  async get(key) {
+    const count = await this.client.get(this.prefix + key);
+    return count === null ? null : parseInt(count, 10) || 0;
+  }
+
+  async increment(key, amount = 1) {
+    return Number(await this.client.incrby(this.prefix + key, amount));
+  }
+
+  async set(key, count) {
+    await this.client.set(this.prefix + key, count.toString());
+  }
+
+  async list() {
+    const counts = new Map();
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.client.scan(cursor, { match: `${this.prefix}*`, count: 100 });
+      for (const redisKey of keys) {
+        const count = await this.client.get(redisKey);
+        if (count !== null) counts.set(redisKey.slice(this.prefix.length), parseInt(count, 10) || 0);
+      }
+      cursor = String(nextCursor);
+    } while (cursor !== '0');
+    return counts;
+  }
+
+  async delete(key) {
+    let cursor = '0';
+    do {
+      const [nextCursor, hourKeys] = await this.client.scan(cursor, { match: `history:hour:${key}:*`, count: 100 });
+      if (hourKeys.length) await this.client.del(...hourKeys);
+      cursor = String(nextCursor);
+    } while (cursor !== '0');
+    await this.client.del(`history:day:${key}`);
+    return (await this.client.del(this.prefix + key)) > 0;
+  }
+
+  async markSeen(key, ttlSeconds) {
+    return (await this.client.set(`seen:${key}`, '1', { nx: true, ex: ttlSeconds })) === 'OK';
+  }
+
+  async incrementBucket(key, granularity, bucket, amount = 1) {
+    if (granularity === 'day') {
+      return Number(await this.client.hincrby(`history:day:${key}`, bucket, amount));
+    }
+
+    const hourKey = `history:hour:${key}:${bucket}`;
+    const count = Number(await this.client.incrby(hourKey, amount));
+    await this.client.expire(hourKey, (HOURLY_RETENTION_HOURS + 1) * 60 * 60);
+    return count;
+  }
+
+  async getBuckets(key, granularity, from, to) {
+    if (granularity === 'day') {
+      const days = await this.client.hgetall(`history:day:${key}`) || {};
+      return new Map(Object.entries(days)
+        .filter(([bucket]) => isBucketInRange(bucket, from, to))
+        .map(([bucket, count]) => [bucket, parseInt(count, 10) || 0]));
+    }
+
+    // Hourly keys expire, so only the retention window can hold anything
+    const cutoff = getHourlyCutoff();
+    const hours = listBuckets(
+      bucketToDate(from && from > cutoff ? from : cutoff),
+      to ? bucketToDate(to) : new Date(),
+      'hour'
+    );
+    const counts = hours.length ? await this.client.mget(...hours.map(hour => `history:hour:${key}:${hour}`)) : [];
+
+    const buckets = new Map();
+    hours.forEach((hour, index) => {
+      if (counts[index] !== null) buckets.set(hour, parseInt(counts[index], 10) || 0);
+    });
+    return buckets;
+  }
+
+  async health() {
+    await this.client.ping();
+    return { ok: true };
+  }
+}
+
+module.exports = { UpstashCounterStore };
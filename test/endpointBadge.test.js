@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// The fetch guard refuses loopback unless it is trusted, and reads this on load
+process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+const { EndpointBadge } = require('../badges/DynamicBadge');
+
+const responses = {
+  '/ok': JSON.stringify({ schemaVersion: 1, label: 'coverage', message: '92%', color: 'green' }),
+  '/error': JSON.stringify({ schemaVersion: 1, label: 'build', message: 'failing', isError: true }),
+  '/no-label': JSON.stringify({ schemaVersion: 1, message: 'v1.2.0', color: 'orange' }),
+  '/empty-label': JSON.stringify({ schemaVersion: 1, label: '', message: 'broken', isError: true }),
+  '/old-schema': JSON.stringify({ schemaVersion: 2, label: 'x', message: 'y' }),
+  '/not-json': '<html>nope</html>'
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (!Object.hasOwn(responses, req.url)) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(responses[req.url]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * Runs an endpoint badge against the stub server.
+ * @param {string} path - Stub path
+ * @param {Object} options - Extra badge params
+ * @returns {Promise<Object>} { message, badge }
+ */
+async function fetchBadge(path, options = {}) {
+  const badge = new EndpointBadge({ url: baseUrl + path, ...options });
+  const message = await badge.fetchData();
+  return { message, badge };
+}
+
+test('renders a schemaVersion 1 response', async () => {
+  const { message, badge } = await fetchBadge('/ok');
+  assert.strictEqual(message, '92%');
+  assert.strictEqual(badge.text, 'coverage');
+  assert.strictEqual(badge.bgColor, 'charcoal');
+  assert.strictEqual(badge.messageBgColor, 'green');
+});
+
+test('rejects other schema versions', async () => {
+  const { message, badge } = await fetchBadge('/old-schema');
+  assert.strictEqual(message, 'invalid');
+  assert.strictEqual(badge.text, 'custom badge');
+  assert.strictEqual(badge.messageBgColor, 'red');
+});
+
+test('colors isError responses red', async () => {
+  const { message, badge } = await fetchBadge('/error');
+  assert.strictEqual(message, 'failing');
+  assert.strictEqual(badge.messageBgColor, 'red');
+});
+
+test('draws a message without a label in the message color', async () => {
+  const missing = await fetchBadge('/no-label');
+  assert.strictEqual(missing.message, 'v1.2.0');
+  assert.ok(!missing.badge.text);
+  assert.strictEqual(missing.badge.bgColor, 'orange');
+
+  const empty = await fetchBadge('/empty-label');
+  assert.strictEqual(empty.badge.text, '');
+  assert.strictEqual(empty.badge.bgColor, 'red');
+});
+
+test('query params win over the response', async () => {
+  const { badge } = await fetchBadge('/ok', { text: 'tests', messageBgColor: 'purple' });
+  assert.strictEqual(badge.text, 'tests');
+  assert.strictEqual(badge.messageBgColor, 'purple');
+});
+
+test('reports invalid JSON', async () => {
+  const { message, badge } = await fetchBadge('/not-json');
+  assert.strictEqual(message, 'invalid');
+  assert.strictEqual(badge.messageBgColor, 'red');
+});
+
+test('reports unreachable endpoints', async () => {
+  const { message } = await fetchBadge('/missing');
+  assert.strictEqual(message, 'inaccessible');
+});
+
+test('renders the SVG with the message color', async () => {
+  const badge = new EndpointBadge({ url: `${baseUrl}/no-label` });
+  const svg = await badge.generate();
+  assert.match(svg, /v1\.2\.0/);
+  assert.match(svg, /rgb\(255, 152, 0\)/); // orange
+  assert.doesNotMatch(svg, /rgb\(54, 69, 79\)/); // charcoal
+});
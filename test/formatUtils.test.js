@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { formatCount, formatDate, isValidLocale } = require('../utils/formatUtils');
+
+const NOW = new Date('2026-06-15T12:00:00Z');
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+function ago(seconds, options = {}) {
+  return formatDate(new Date(NOW.getTime() - seconds * 1000), { now: NOW, ...options });
+}
+
+test('relative dates use the largest unit that fits', () => {
+  assert.strictEqual(ago(0), 'now');
+  assert.strictEqual(ago(45), '45 seconds ago');
+  assert.strictEqual(ago(3 * HOUR), '3 hours ago');
+  assert.strictEqual(ago(36 * HOUR), '2 days ago');
+  assert.strictEqual(ago(45 * DAY), '2 months ago');
+  assert.strictEqual(ago(800 * DAY), '2 years ago');
+});
+
+test('relative dates roll over to the next unit after rounding', () => {
+  assert.strictEqual(ago(59.6), '1 minute ago');
+  assert.strictEqual(ago(59 * MINUTE + 40), '1 hour ago');
+  assert.strictEqual(ago(HOUR - 1), '1 hour ago');
+  assert.strictEqual(ago(DAY - 1), 'yesterday');
+  assert.strictEqual(ago(23.6 * HOUR), 'yesterday');
+  assert.strictEqual(ago(29.6 * DAY), 'last month');
+  assert.strictEqual(ago(350 * DAY), 'last year');
+  assert.strictEqual(ago(364 * DAY), 'last year');
+});
+
+test('relative dates just below a rollover keep their unit', () => {
+  assert.strictEqual(ago(59 * MINUTE), '59 minutes ago');
+  assert.strictEqual(ago(23 * HOUR), '23 hours ago');
+  assert.strictEqual(ago(29 * DAY), '29 days ago');
+  assert.strictEqual(ago(320 * DAY), '11 months ago');
+});
+
+test('relative dates in the future and other locales', () => {
+  assert.strictEqual(ago(-(HOUR - 1)), 'in 1 hour');
+  assert.strictEqual(ago(3 * HOUR, { locale: 'de-DE' }), 'vor 3 Stunden');
+});
+
+test('absolute date formats', () => {
+  const date = new Date('2024-05-01T08:00:00Z');
+  assert.strictEqual(formatDate(date, { dateFormat: 'iso' }), '2024-05-01');
+  assert.strictEqual(formatDate(date, { dateFormat: 'long', locale: 'en-US' }), 'May 1, 2024');
+});
+
+test('metric counts', () => {
+  assert.strictEqual(formatCount(999), '999');
+  assert.strictEqual(formatCount(12345), '12.3k');
+  assert.strictEqual(formatCount(123456), '123k');
+  assert.strictEqual(formatCount(999950), '1M');
+  assert.strictEqual(formatCount(1234567, { precision: 2 }), '1.23M');
+});
+
+test('grouped and raw counts', () => {
+  assert.strictEqual(formatCount(12345, { valueFormat: 'grouped' }), '12,345');
+  assert.strictEqual(formatCount(12345, { valueFormat: 'grouped', locale: 'de-DE' }), '12.345');
+  assert.strictEqual(formatCount(12345, { valueFormat: 'raw' }), '12345');
+});
+
+test('locale validation', () => {
+  assert.ok(isValidLocale('fr'));
+  assert.ok(!isValidLocale('not a locale!'));
+});
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// The fetch guard refuses loopback unless it is trusted, and reads this on load
+process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+process.env.GITHUB_TOKENS = 'secret';
+const { GitHubStarsBadge, LastCommitBadge } = require('../badges/DynamicBadge');
+
+const repos = {
+  '/repos/owner/public': { private: false, stargazers_count: 12345 },
+  '/repos/owner/secret': { private: true, stargazers_count: 7 }
+};
+
+// Paths the mock GitHub was asked for
+const requested = [];
+
+let server;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requested.push(req.url);
+    const path = req.url.split('?')[0];
+    if (path.endsWith('/commits')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify([{ commit: { committer: { date: new Date().toISOString() } } }]));
+    }
+    if (!Object.hasOwn(repos, path)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ message: 'Not Found' }));
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(repos[path]));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  // Read when the shared client is first used
+  process.env.GITHUB_API_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('shows public repo data', async () => {
+  assert.strictEqual(await new GitHubStarsBadge({ repo: 'owner/public' }).fetchData(), '12.3k');
+});
+
+test('answers private repos as not found', async () => {
+  assert.strictEqual(await new GitHubStarsBadge({ repo: 'owner/secret' }).fetchData(), 'repo not found');
+});
+
+test('checks the repo before reading anything under it', async () => {
+  assert.strictEqual(await new LastCommitBadge({ repo: 'owner/secret' }).fetchData(), 'repo not found');
+  assert.ok(!requested.some(path => path.startsWith('/repos/owner/secret/')), 'commits of a private repo were fetched');
+
+  assert.strictEqual(await new LastCommitBadge({ repo: 'owner/public' }).fetchData(), 'now');
+});
+
+test('reports missing repos', async () => {
+  assert.strictEqual(await new GitHubStarsBadge({ repo: 'owner/missing' }).fetchData(), 'repo not found');
+});
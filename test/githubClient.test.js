@@ -0,0 +1,127 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// The fetch guard refuses loopback unless it is trusted, and reads this on load
+process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+const { GitHubClient, isValidRepo } = require('../utils/githubClient');
+
+// What the mock GitHub answers, by token: (req) => { status, headers, body }
+let handler;
+// Authorization header of every request the mock saw
+let seenTokens;
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '') || null;
+    seenTokens.push(token);
+    const { status = 200, headers = {}, body = {} } = handler(req, token);
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  seenTokens = [];
+  handler = () => ({ body: { stargazers_count: 1 } });
+});
+
+/**
+ * Rate limit headers as GitHub sends them.
+ * @param {number} remaining - Requests left
+ * @param {number} resetInSeconds - Seconds until the quota comes back
+ * @returns {Object} Headers
+ */
+function rateLimitHeaders(remaining, resetInSeconds = 3600) {
+  return {
+    'X-RateLimit-Limit': '5000',
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(Math.floor(Date.now() / 1000) + resetInSeconds)
+  };
+}
+
+test('rotates across tokens', async () => {
+  const client = new GitHubClient({ tokens: ['a', 'b', 'c'], baseUrl });
+  for (let i = 0; i < 4; i++) await client.request('/repos/owner/repo');
+  assert.deepStrictEqual(seenTokens, ['a', 'b', 'c', 'a']);
+});
+
+test('sends no Authorization header without tokens', async () => {
+  const client = new GitHubClient({ baseUrl });
+  await client.request('/repos/owner/repo');
+  assert.deepStrictEqual(seenTokens, [null]);
+});
+
+test('skips tokens whose X-RateLimit-Remaining hit 0', async () => {
+  handler = (req, token) => ({ headers: rateLimitHeaders(token === 'a' ? 0 : 100) });
+  const client = new GitHubClient({ tokens: ['a', 'b'], baseUrl });
+
+  for (let i = 0; i < 4; i++) await client.request('/repos/owner/repo');
+  assert.deepStrictEqual(seenTokens, ['a', 'b', 'b', 'b']);
+  assert.strictEqual(client.getRateLimits()[0].remaining, 0);
+});
+
+test('moves on to the next token after a 403 rate limit', async () => {
+  handler = (req, token) => token === 'a'
+    ? { status: 403, headers: rateLimitHeaders(0), body: { message: 'API rate limit exceeded' } }
+    : { headers: rateLimitHeaders(99) };
+  const client = new GitHubClient({ tokens: ['a', 'b'], baseUrl });
+
+  const response = await client.request('/repos/owner/repo');
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(seenTokens, ['a', 'b']);
+  assert.ok(client.getRateLimits()[0].blockedUntil, 'token a should be parked');
+});
+
+test('honours Retry-After on a 429', async () => {
+  handler = () => ({ status: 429, headers: { 'Retry-After': '120' }, body: { message: 'secondary rate limit' } });
+  const client = new GitHubClient({ tokens: ['a'], baseUrl });
+
+  await assert.rejects(client.request('/repos/owner/repo'), (error) => {
+    assert.strictEqual(error.code, 'GITHUB_RATE_LIMITED');
+    assert.ok(error.retryAfter > 100 && error.retryAfter <= 120);
+    return true;
+  });
+
+  // Parked, so the next call fails without asking GitHub again
+  await assert.rejects(client.request('/repos/owner/repo'), { code: 'GITHUB_RATE_LIMITED' });
+  assert.strictEqual(seenTokens.length, 1);
+});
+
+test('treats a 403 without rate limit signs as unavailable, not rate limited', async () => {
+  handler = () => ({ status: 403, body: { message: 'Resource not accessible by integration' } });
+  const client = new GitHubClient({ tokens: ['a'], baseUrl });
+  await assert.rejects(client.request('/repos/owner/repo'), { code: 'GITHUB_UNAVAILABLE' });
+});
+
+test('tells not found and upstream errors apart', async () => {
+  const client = new GitHubClient({ baseUrl });
+
+  handler = () => ({ status: 404, body: { message: 'Not Found' } });
+  await assert.rejects(client.request('/repos/owner/missing'), { code: 'GITHUB_NOT_FOUND' });
+
+  handler = () => ({ status: 502, body: {} });
+  await assert.rejects(client.request('/repos/owner/repo'), { code: 'GITHUB_UNAVAILABLE' });
+});
+
+test('refuses paths with dot segments', async () => {
+  const client = new GitHubClient({ tokens: ['a'], baseUrl });
+  await assert.rejects(client.request('/repos/../../user'), { code: 'GITHUB_NOT_FOUND' });
+  assert.deepStrictEqual(seenTokens, []);
+});
+
+test('accepts only plain owner/repo names', () => {
+  for (const repo of ['owner/repo', 'Owner-1/repo.js', 'o/a_b-c.d']) {
+    assert.ok(isValidRepo(repo), repo);
+  }
+  for (const repo of ['../../user', 'owner/..', 'owner/.', 'owner', 'owner/repo/issues', 'owner/repo?x=1', 'own er/repo', '']) {
+    assert.ok(!isValidRepo(repo), repo);
+  }
+});
@@ -0,0 +1,50 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The cache reads its config on load
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'icon-cache-'));
+process.env.ICON_CACHE_STORE = 'disk';
+process.env.ICON_CACHE_DIR = cacheDir;
+process.env.ICON_CACHE_SIZE = '1';
+process.env.ICON_CACHE_DISK_SIZE = '3';
+process.env.ICON_CACHE_DISK_BYTES = '100000';
+const { getCachedIcon, getIconCacheStats } = require('../utils/iconCache');
+
+/**
+ * Loader that returns a fixed value with a one hour max-age.
+ * @param {string} value - Value to cache
+ * @returns {Function} Loader for getCachedIcon
+ */
+function loaderFor(value) {
+  return async () => ({ value, headers: { 'cache-control': 'max-age=3600' } });
+}
+
+after(() => {
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+
+test('keeps the disk tier within ICON_CACHE_DISK_SIZE', async () => {
+  for (const name of ['a', 'b', 'c', 'd', 'e']) {
+    await getCachedIcon(name, loaderFor(name));
+  }
+
+  assert.strictEqual(fs.readdirSync(cacheDir).length, 3);
+  assert.strictEqual(getIconCacheStats().diskEntries, 3);
+});
+
+test('evicts the least recently used icon first', async () => {
+  // "c" is the oldest file left, reading it from disk makes "d" the oldest
+  await getCachedIcon('c', () => assert.fail('should come from disk'));
+  await getCachedIcon('f', loaderFor('f'));
+
+  assert.strictEqual(await getCachedIcon('c', () => assert.fail('should come from disk')), 'c');
+  let reloaded = false;
+  await getCachedIcon('d', async () => {
+    reloaded = true;
+    return loaderFor('d')();
+  });
+  assert.ok(reloaded, 'd should have been evicted');
+});
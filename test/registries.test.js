@@ -0,0 +1,181 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { getRegistry, getRegistryNames } = require('../registries');
+const { getDownloadRanges } = require('../registries/NpmRegistry');
+
+/**
+ * A fetch for adapters that answers from test/fixtures/registries/<name>.json
+ * (URL -> response body) and 404s like axios for anything else, so a
+ * missing fixture can never fall through to the network.
+ * @param {string} name - Fixture file
+ * @returns {Function} (url) => Promise<Object>
+ */
+function fixtureFetch(name) {
+  const fixtures = require(`./fixtures/registries/${name}.json`);
+  return async (url) => {
+    if (!Object.hasOwn(fixtures, url)) {
+      const error = new Error(`No fixture for ${url}`);
+      error.response = { status: 404 };
+      throw error;
+    }
+    return JSON.parse(JSON.stringify(fixtures[url]));
+  };
+}
+
+test('every registry has a fixture-backed suite below', () => {
+  assert.deepStrictEqual(getRegistryNames().sort(), ['crates', 'docker', 'npm', 'packagist', 'pypi', 'rubygems']);
+});
+
+describe('npm', () => {
+  const npm = getRegistry('npm');
+  const fetch = fixtureFetch('npm');
+
+  test('reads versions from dist-tags', async () => {
+    assert.strictEqual(await npm.getVersion('express', fetch), '5.2.1');
+    assert.strictEqual(await npm.getVersion('@babel/core', fetch), '8.0.6');
+    assert.strictEqual(await npm.getVersion('express', fetch, 'next'), null);
+  });
+
+  test('reads downloads for a period', async () => {
+    assert.strictEqual(await npm.getDownloads('express', 'last-week', fetch), 52416384);
+    assert.strictEqual(await npm.getDownloads('@babel/core', 'last-month', fetch), 298451207);
+  });
+
+  test('adds up every range for total downloads', async () => {
+    const ranges = getDownloadRanges(new Date());
+    const rangeFetch = async (url) => {
+      assert.match(url, /^https:\/\/api\.npmjs\.org\/downloads\/point\/\d{4}-\d{2}-\d{2}:\d{4}-\d{2}-\d{2}\/express$/);
+      return { downloads: 1000 };
+    };
+    assert.strictEqual(await npm.getDownloads('express', 'total', rangeFetch), ranges.length * 1000);
+    assert.strictEqual(ranges[0].slice(0, 10), '2015-01-10');
+  });
+
+  test('reads license, node engine and types from the manifest', async () => {
+    assert.strictEqual(await npm.getLicense('express', fetch), 'MIT');
+    assert.strictEqual(await npm.getLicense('left-pad', fetch), 'WTFPL');
+    assert.strictEqual(await npm.getNodeEngine('express', fetch), '>= 18');
+    assert.strictEqual(await npm.getNodeEngine('left-pad', fetch), null);
+    assert.strictEqual(await npm.getTypes('left-pad', fetch), 'included');
+    assert.strictEqual(await npm.getTypes('@babel/core', fetch), 'included');
+    assert.strictEqual(await npm.getTypes('express', fetch), '@types/express');
+  });
+
+  test('reads dependents from ecosyste.ms', async () => {
+    assert.strictEqual(await npm.getDependents('express', fetch), 85213);
+    assert.strictEqual(await npm.getDependents('@babel/core', fetch), 51877);
+    await assert.rejects(npm.getDependents('left-pad', fetch), { response: { status: 404 } });
+  });
+
+  test('validates names', () => {
+    assert.ok(npm.isValidName('@org/pkg'));
+    assert.ok(!npm.isValidName('../etc'));
+  });
+});
+
+describe('pypi', () => {
+  const pypi = getRegistry('pypi');
+  const fetch = fixtureFetch('pypi');
+
+  test('reads the version', async () => {
+    assert.strictEqual(await pypi.getVersion('requests', fetch), '2.32.3');
+  });
+
+  test('reads downloads from pypistats', async () => {
+    assert.strictEqual(await pypi.getDownloads('requests', 'last-day', fetch), 11742215);
+    assert.strictEqual(await pypi.getDownloads('requests', 'last-month', fetch), 378562134);
+  });
+
+  test('prefers license_expression, then classifiers, then short license text', async () => {
+    assert.strictEqual(await pypi.getLicense('typing_extensions', fetch), 'PSF-2.0');
+    assert.strictEqual(await pypi.getLicense('requests', fetch), 'Apache Software License');
+    assert.strictEqual(await pypi.getLicense('numpy', fetch), 'BSD License');
+    assert.strictEqual(await pypi.getLicense('internal-tool', fetch), null);
+  });
+});
+
+describe('crates', () => {
+  const crates = getRegistry('crates');
+  const fetch = fixtureFetch('crates');
+
+  test('reads the latest stable version, or the newest if none is stable', async () => {
+    assert.strictEqual(await crates.getVersion('serde', fetch), '1.0.210');
+    assert.strictEqual(await crates.getVersion('bevy_nightly', fetch), '0.2.0-rc.1');
+  });
+
+  test('reads total downloads and the license of the latest version', async () => {
+    assert.strictEqual(await crates.getDownloads('serde', 'total', fetch), 512734621);
+    assert.strictEqual(await crates.getLicense('serde', fetch), 'MIT OR Apache-2.0');
+  });
+});
+
+describe('docker', () => {
+  const docker = getRegistry('docker');
+  const fetch = fixtureFetch('docker');
+
+  test('picks the highest version tag', async () => {
+    assert.strictEqual(await docker.getVersion('nginx', fetch), '1.27.2');
+  });
+
+  test('falls back to the newest tag other than latest', async () => {
+    assert.strictEqual(await docker.getVersion('owner/app', fetch), 'main-4f2c1e');
+  });
+
+  test('reads pulls and has no license', async () => {
+    assert.strictEqual(await docker.getDownloads('nginx', 'total', fetch), 1000000000);
+    await assert.rejects(docker.getLicense('nginx', fetch), { statusCode: 400 });
+  });
+});
+
+describe('rubygems', () => {
+  const rubygems = getRegistry('rubygems');
+  const fetch = fixtureFetch('rubygems');
+
+  test('reads version and total downloads', async () => {
+    assert.strictEqual(await rubygems.getVersion('rails', fetch), '7.2.1');
+    assert.strictEqual(await rubygems.getDownloads('rails', 'total', fetch), 568201347);
+  });
+
+  test('joins several licenses and reports none as null', async () => {
+    assert.strictEqual(await rubygems.getLicense('rails', fetch), 'MIT');
+    assert.strictEqual(await rubygems.getLicense('json', fetch), 'Ruby OR BSD-2-Clause');
+    assert.strictEqual(await rubygems.getLicense('no_license', fetch), null);
+  });
+
+  test('validates names', () => {
+    assert.ok(rubygems.isValidName('aws-sdk-s3'));
+    assert.ok(!rubygems.isValidName('..'));
+    assert.ok(!rubygems.isValidName('a/b'));
+  });
+});
+
+describe('packagist', () => {
+  const packagist = getRegistry('packagist');
+  const fetch = fixtureFetch('packagist');
+
+  test('picks the highest stable release, skipping branches and pre-releases', async () => {
+    assert.strictEqual(await packagist.getVersion('laravel/framework', fetch), 'v11.26.0');
+  });
+
+  test('falls back to the highest pre-release', async () => {
+    assert.strictEqual(await packagist.getVersion('acme/preview', fetch), '1.0.0-RC1');
+  });
+
+  test('reads downloads for each period', async () => {
+    assert.strictEqual(await packagist.getDownloads('laravel/framework', 'last-day', fetch), 301234);
+    assert.strictEqual(await packagist.getDownloads('laravel/framework', 'last-month', fetch), 8123456);
+    assert.strictEqual(await packagist.getDownloads('Laravel/Framework', 'total', fetch), 412345678);
+  });
+
+  test('reads the license of the latest release', async () => {
+    assert.strictEqual(await packagist.getLicense('laravel/framework', fetch), 'MIT');
+    assert.strictEqual(await packagist.getLicense('acme/preview', fetch), 'GPL-3.0-or-later');
+  });
+
+  test('validates vendor/package names', () => {
+    assert.ok(packagist.isValidName('laravel/framework'));
+    assert.ok(packagist.isValidName('symfony/http-foundation'));
+    assert.ok(!packagist.isValidName('laravel'));
+    assert.ok(!packagist.isValidName('laravel/..'));
+  });
+});
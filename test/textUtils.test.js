@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { calculateTextWidth, splitGraphemes } = require('../utils/textUtils');
+const goldenWidths = require('./fixtures/textWidths.json');
+
+// Widths come from the bundled metrics, so a change here means every badge
+// changes size. Update the fixtures on purpose, not to make this pass.
+for (const { name, text, fontSize, fontWeight, letterSpacing, width } of goldenWidths) {
+  test(`measures ${name}`, () => {
+    const options = letterSpacing === undefined ? { fontWeight } : { fontWeight, letterSpacing };
+    assert.strictEqual(calculateTextWidth(text, fontSize, options), width);
+  });
+}
+
+test('counts grapheme clusters, not code points', () => {
+  assert.strictEqual(splitGraphemes('👩\u200d💻🇺🇸e\u0301').length, 3);
+});
+
+test('measures empty text as zero', () => {
+  assert.strictEqual(calculateTextWidth('', 11), 0);
+  assert.strictEqual(calculateTextWidth(undefined, 11), 0);
+});
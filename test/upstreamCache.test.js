@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+// The fetch guard refuses loopback unless it is trusted, and reads this on load
+process.env.FETCH_ALLOW_HOSTS = '127.0.0.1';
+const { getCachedUpstream } = require('../utils/upstreamCache');
+const { QueryBadge } = require('../badges/DynamicBadge');
+
+let server;
+let baseUrl;
+let upstreamDown = false;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (upstreamDown) {
+      res.writeHead(503);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ version: '1.2.3' }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('serves the last good value marked stale when the upstream fails', async () => {
+  const loader = async () => ({ value: 42 });
+  assert.deepStrictEqual(await getCachedUpstream('test:stale', { ttl: 0 }, loader), { value: 42, stale: false });
+
+  const failing = async () => { throw new Error('upstream down'); };
+  assert.deepStrictEqual(await getCachedUpstream('test:stale', { ttl: 0 }, failing), { value: 42, stale: true });
+});
+
+test('throws when the upstream fails and nothing is cached', async () => {
+  const failing = async () => { throw new Error('upstream down'); };
+  await assert.rejects(getCachedUpstream('test:empty', { ttl: 0 }, failing), /upstream down/);
+});
+
+test('draws stale badges faded', async () => {
+  const options = { url: `${baseUrl}/package.json`, query: '$.version', cacheSeconds: 0 };
+
+  upstreamDown = false;
+  const fresh = new QueryBadge(options);
+  const freshSvg = await fresh.generate();
+  assert.strictEqual(fresh.stale, false);
+  assert.doesNotMatch(freshSvg, /opacity="0\.6"/);
+
+  upstreamDown = true;
+  const stale = new QueryBadge(options);
+  const staleSvg = await stale.generate();
+  assert.strictEqual(stale.stale, true);
+  assert.match(staleSvg, /1\.2\.3/);
+  assert.match(staleSvg, /<g opacity="0\.6">/);
+});
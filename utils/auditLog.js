@@ -0,0 +1,38 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Append-only record of admin changes to counters. Every entry goes to the
+ * console (so platform logs keep it even on read-only file systems) and, if
+ * possible, as a JSON line to AUDIT_LOG_FILE (default storage/admin-audit.log).
+ */
+const AUDIT_LOG_FILE = process.env.AUDIT_LOG_FILE || path.join(__dirname, '..', 'storage', 'admin-audit.log');
+
+/**
+ * Records one admin action.
+ * @param {string} action - What happened, e.g. "set" or "delete"
+ * @param {Object} details - Anything useful for reconstructing the change
+ * @param {Object} req - Express request, for the caller's address
+ * @returns {Promise<Object>} The entry that was written
+ */
+async function writeAuditLog(action, details, req) {
+  const entry = {
+    time: new Date().toISOString(),
+    action,
+    ip: req ? req.ip : null,
+    ...details
+  };
+  const line = JSON.stringify(entry);
+
+  console.log(`[audit] ${line}`);
+  try {
+    await fs.mkdir(path.dirname(AUDIT_LOG_FILE), { recursive: true });
+    await fs.appendFile(AUDIT_LOG_FILE, `${line}\n`);
+  } catch (error) {
+    console.warn('Could not write audit log file:', error.message);
+  }
+
+  return entry;
+}
+
+module.exports = { writeAuditLog };
@@ -1,19 +1,30 @@
-const { parseColor } = require('./colorUtils');
+const crypto = require('crypto');
+const { parseColor, parseGradient, formatColor, resolveAutoColor } = require('./colorUtils');
+const { calculateTextWidth } = require('./textUtils');
+const { STYLE_PRESETS } = require('./constants');
+
+// Stale badges are drawn faded so readers can tell the value may be old
+const STALE_OPACITY = 0.6;
 
 /**
  * Figures out spacing and sizing for badge elements. Keeps icons proportional,
  * positions text nicely, handles cases with/without icons.
  * @param {Object} iconData - Icon dimensions or null
+ * @param {Object} preset - Style preset (height, padding, iconPadding)
  * @returns {Object} Layout calculations
  */
-function calculateBadgeDimensions(iconData) {
-  const padding = 12;
-  const iconPadding = iconData ? 8 : 0;
+function calculateBadgeDimensions(iconData, preset = STYLE_PRESETS.default) {
+  const { height, padding } = preset;
+  const iconPadding = iconData ? preset.iconPadding : 0;
+
+  // 20px icons on the 32px default badge, scaled down for shorter styles
+  const maxIconHeight = Math.min(Math.round(height * 0.625), height - 4);
+  const minIconHeight = Math.min(12, maxIconHeight);
 
   let iconWidth = 0, iconHeight = 0;
   if (iconData) {
     iconWidth = Math.min(iconData.width, 32);
-    iconHeight = Math.min(iconData.height, 20);
+    iconHeight = Math.min(iconData.height, maxIconHeight);
 
     const originalAspectRatio = iconData.width / iconData.height;
     if (iconWidth < iconData.width) {
@@ -22,14 +33,12 @@ function calculateBadgeDimensions(iconData) {
       iconWidth = Math.round(iconHeight * originalAspectRatio);
     }
 
-    if (iconHeight < 12) {
-      iconHeight = 12;
+    if (iconHeight < minIconHeight) {
+      iconHeight = minIconHeight;
       iconWidth = Math.round(iconHeight * originalAspectRatio);
     }
   }
 
-  const height = 32;
-
   return {
     height,
     iconWidth,
@@ -44,86 +53,301 @@ function calculateBadgeDimensions(iconData) {
 }
 
 /**
- * Estimates text width for layout. Uses character widths since measuring
- * fonts in Node is a pain. Good enough for badges.
- * @param {string} text - Text to measure
- * @param {number} fontSize - Font size
- * @returns {number} Approximate width
+ * Escapes text for use inside SVG markup. Badge text comes straight from
+ * query strings and upstream APIs, so never trust it.
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
  */
-function calculateTextWidth(text, fontSize) {
-  const charWidths = {
-    'i': 4, 'l': 4, 'j': 4.5, 't': 5, 'f': 5.5, 'r': 6,
-    'a': 7, 'c': 7, 'e': 7, 'n': 7.5, 'o': 7.5, 's': 7, 'u': 7.5, 'v': 7, 'x': 7, 'z': 7,
-    'b': 7.5, 'd': 7.5, 'g': 7.5, 'h': 7.5, 'k': 7.5, 'p': 7.5, 'q': 7.5, 'y': 7,
-    'm': 11, 'w': 11,
-    '0': 7.5, '1': 5, '2': 7.5, '3': 7.5, '4': 7.5, '5': 7.5, '6': 7.5, '7': 7.5, '8': 7.5, '9': 7.5,
-    ' ': 4, '.': 4, ',': 4, ':': 4, ';': 4, '!': 4.5, '?': 7.5, '-': 5, '_': 7.5,
-    '(': 5, ')': 5, '[': 5, ']': 5, '{': 5.5, '}': 5.5, '/': 5.5, '\\': 5.5, '|': 4,
-    '+': 8, '=': 8, '<': 8, '>': 8, '@': 12, '#': 8.5, '$': 7.5, '%': 12, '^': 7,
-    '&': 9.5, '*': 6, '~': 8, '`': 5, "'": 4, '"': 6
-  };
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
 
-  let totalWidth = 0;
-  for (let char of text) {
-    const lowerChar = char.toLowerCase();
-    if (charWidths[lowerChar]) {
-      const baseWidth = charWidths[lowerChar];
-      totalWidth += char === char.toUpperCase() && char !== char.toLowerCase() ? baseWidth * 1.1 : baseWidth;
-    } else {
-      totalWidth += 8;
-    }
+/**
+ * Resolves the corner radius attributes for an edge style. Without an
+ * explicit style the preset's radius is used.
+ * @param {string} edges - Corner style
+ * @param {number} height - Badge height
+ * @param {number} presetRadius - Radius from the style preset
+ * @returns {string} rx/ry attributes
+ */
+function getCornerRadius(edges, height, presetRadius = 0) {
+  switch ((edges || '').toLowerCase()) {
+    case 'rounded':
+    case 'round':
+      // 8px on the default 32px badge
+      return `rx="${height / 4}" ry="${height / 4}"`;
+    case 'pill':
+      return `rx="${height / 2}" ry="${height / 2}"`;
+    case 'square':
+    case 'sharp':
+    case 'squared':
+      return 'rx="0" ry="0"';
+    default:
+      return `rx="${presetRadius}" ry="${presetRadius}"`;
+  }
+}
+
+/**
+ * Builds a short ID from the badge content so several badges inlined on the
+ * same page don't fight over clipPath/gradient IDs.
+ * @param {...*} parts - Values that make the badge unique
+ * @returns {string} ID safe for use in SVG
+ */
+function createSvgId(...parts) {
+  return 'b' + crypto.createHash('md5').update(JSON.stringify(parts)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Turns a background (solid color or gradient) into a fill value, plus the
+ * gradient definition when one is needed.
+ * @param {string} background - Color or gradient string
+ * @param {string} id - ID to give the gradient
+ * @returns {Object} { fill, defs }
+ */
+function renderBackground(background, id) {
+  const gradient = parseGradient(background);
+  if (!gradient) {
+    return { fill: formatColor(parseColor(background)), defs: null };
+  }
+
+  const stops = gradient.stops.map(({ color, offset }) => {
+    const opacity = color.a !== undefined ? ` stop-opacity="${color.a}"` : '';
+    return `<stop offset="${Math.round(offset * 1000) / 10}%" stop-color="rgb(${color.r}, ${color.g}, ${color.b})"${opacity}/>`;
+  }).join('');
+
+  let defs;
+  if (gradient.type === 'radial') {
+    defs = `<radialGradient id="${id}" cx="50%" cy="50%" r="50%">${stops}</radialGradient>`;
+  } else {
+    // CSS angles: 0 points up, 90 points right
+    const radians = gradient.angle * Math.PI / 180;
+    const dx = Math.round(Math.sin(radians) * 50 * 100) / 100;
+    const dy = Math.round(Math.cos(radians) * 50 * 100) / 100;
+    defs = `<linearGradient id="${id}" x1="${50 - dx}%" y1="${50 + dy}%" x2="${50 + dx}%" y2="${50 - dy}%">${stops}</linearGradient>`;
+  }
+
+  return { fill: `url(#${id})`, defs };
+}
+
+/**
+ * Glossy overlays used by the shields-style presets, drawn over the
+ * backgrounds but under the text.
+ */
+const GLOSS_STOPS = {
+  subtle: '<stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/>',
+  strong: '<stop offset="0" stop-color="#fff" stop-opacity=".7"/><stop offset=".1" stop-color="#aaa" stop-opacity=".1"/><stop offset=".9" stop-opacity=".3"/><stop offset="1" stop-opacity=".5"/>'
+};
+
+/**
+ * Applies the preset's text casing.
+ * @param {string} text - Text to transform
+ * @param {Object} preset - Style preset
+ * @returns {string} Transformed text
+ */
+function applyTextTransform(text, preset) {
+  if (text === null || text === undefined) return text;
+  return preset.textTransform === 'uppercase' ? String(text).toUpperCase() : String(text);
+}
+
+/**
+ * Renders a text run for one badge segment, with a drop shadow when the
+ * preset asks for one.
+ * @param {string} text - Text to render
+ * @param {number} x - Start position
+ * @param {string} color - Formatted fill color
+ * @param {Object} font - Font settings
+ * @param {Object} preset - Style preset
+ * @returns {string} SVG text element(s)
+ */
+function renderText(text, x, color, font, preset) {
+  const textElement = (y, fill, extra = '') => `<text
+      x="${x}"
+      y="${y}"
+      text-anchor="start"
+      dominant-baseline="middle"
+      fill="${fill}"${extra}
+      font-size="${preset.fontSize}"
+      font-weight="${preset.fontWeight}"
+      font-family="${font.family}"
+      style="text-rendering: optimizeLegibility;
+      letter-spacing: ${preset.letterSpacing}em;">${escapeXml(text)}</text>`;
+
+  const y = preset.height / 2;
+  if (!preset.textShadow) {
+    return textElement(y, color);
+  }
+
+  return `${textElement(y + 1, '#010101', '\n      fill-opacity=".3"')}
+    ${textElement(y, color)}`;
+}
+
+/**
+ * Width of a chart in the message segment: a few pixels per point, but
+ * never so narrow it's unreadable or so wide it dwarfs the label.
+ * @param {number} points - Number of values
+ * @param {number} height - Badge height
+ * @returns {number} Chart width
+ */
+function getChartWidth(points, height) {
+  return Math.min(Math.max(points * 3, height * 2), height * 6);
+}
+
+/**
+ * Draws a sparkline (line or bar) into a box. Values are scaled to the
+ * largest one, so the shape shows the trend rather than absolute numbers.
+ * @param {number[]} values - Data points, oldest first
+ * @param {string} type - "line" or "bar"
+ * @param {Object} box - { x, y, width, height } to draw into
+ * @param {string} color - Formatted stroke/fill color
+ * @returns {string} SVG elements
+ */
+function renderChart(values, type, box, color) {
+  const max = Math.max(...values, 1);
+  const scaleY = (value) => Math.round((box.y + box.height - value / max * box.height) * 100) / 100;
+
+  if (type === 'bar') {
+    const step = box.width / values.length;
+    const barWidth = Math.max(Math.round(step * 0.7 * 100) / 100, 0.5);
+
+    return values.map((value, index) => {
+      // Empty days still get a faint 1px stub so the time axis stays readable
+      const barHeight = Math.max(box.y + box.height - scaleY(value), 1);
+      return `<rect
+      x="${Math.round((box.x + index * step + (step - barWidth) / 2) * 100) / 100}"
+      y="${Math.round((box.y + box.height - barHeight) * 100) / 100}"
+      width="${barWidth}"
+      height="${Math.round(barHeight * 100) / 100}"
+      fill="${color}"${value ? '' : ' fill-opacity="0.3"'}/>`;
+    }).join('\n    ');
   }
 
-  totalWidth += (text.length - 1) * (fontSize * 0.1);
-  totalWidth *= 1.2;
+  const stepX = values.length > 1 ? box.width / (values.length - 1) : 0;
+  const points = values.map((value, index) => {
+    const x = values.length > 1 ? box.x + index * stepX : box.x + box.width / 2;
+    return `${Math.round(x * 100) / 100},${scaleY(value)}`;
+  });
+  const baseline = box.y + box.height;
 
-  return Math.ceil(totalWidth);
+  return `<path
+      d="M${points[0].split(',')[0]},${baseline} L${points.join(' L')} L${points[points.length - 1].split(',')[0]},${baseline} Z"
+      fill="${color}"
+      fill-opacity="0.2"/>
+    <polyline
+      points="${points.join(' ')}"
+      fill="none"
+      stroke="${color}"
+      stroke-width="1.5"
+      stroke-linejoin="round"
+      stroke-linecap="round"/>`;
 }
 
 /**
  * Builds the final SVG badge. Parses colors, calculates layout,
  * handles different edge styles (rounded, square, pill).
- * @param {string} text - Badge text
- * @param {string} bgColor - Background color
+ *
+ * The badge has a label segment (text + icon) and an optional message
+ * segment with its own colors, e.g. "Coverage | 92%".
+ * @param {string} text - Label text
+ * @param {string} bgColor - Label background color or gradient, e.g. "linear(90,blue,purple)"
  * @param {Object} iconData - Processed icon
- * @param {string} textColor - Text color
- * @param {string} edges - Corner style
+ * @param {string} textColor - Label text color ("auto" picks black/white by contrast)
+ * @param {string} edges - Corner style, overrides the style preset when set
+ * @param {Object} [options] - Extra rendering options
+ * @param {Object} [options.message] - Message segment
+ * @param {string} options.message.text - Message text
+ * @param {string} [options.message.bgColor] - Message background or gradient (defaults to bgColor)
+ * @param {string} [options.message.textColor] - Message text color (defaults to textColor)
+ * @param {string} [options.style] - Style preset name (see STYLE_PRESETS)
+ * @param {Object} [options.chart] - Sparkline drawn in the message segment, before its text
+ * @param {number[]} options.chart.values - Data points, oldest first
+ * @param {string} [options.chart.type] - "line" (default) or "bar"
+ * @param {string} [options.chart.color] - Stroke/fill color (defaults to the message text color)
+ * @param {string} [options.chart.bgColor] - Segment background when there's no message
+ * @param {string} [options.chart.textColor] - Segment text color when there's no message
+ * @param {boolean} [options.stale] - Draws the badge dimmed, for values served from cache after an upstream failure
  * @returns {string} Complete SVG
  */
-function generateBadgeSvg(text, bgColor, iconData, textColor, edges) {
-  let finalTextColor;
+function generateBadgeSvg(text, bgColor, iconData, textColor, edges, options = {}) {
+  const preset = Object.hasOwn(STYLE_PRESETS, options.style || '') ? STYLE_PRESETS[options.style] : STYLE_PRESETS.default;
+  const font = { family: 'Verdana, system-ui, sans-serif', fontWeight: preset.fontWeight, letterSpacing: preset.letterSpacing };
 
-  const bgParsed = parseColor(bgColor);
-  const bgColorFormatted = `rgb(${bgParsed.r}, ${bgParsed.g}, ${bgParsed.b})`;
+  const message = options.message && options.message.text !== null && options.message.text !== undefined && options.message.text !== ''
+    ? { ...options.message, text: applyTextTransform(options.message.text, preset) }
+    : null;
+  const labelText = applyTextTransform(text, preset);
+  const chart = options.chart && options.chart.values && options.chart.values.length ? options.chart : null;
 
-  const parsedColor = parseColor(textColor);
-  finalTextColor = `rgb(${parsedColor.r}, ${parsedColor.g}, ${parsedColor.b})`;
+  const finalTextColor = formatColor(parseColor(resolveAutoColor(textColor, bgColor)));
 
-  const dims = calculateBadgeDimensions(iconData);
-  const fontSize = 11;
-  const fontFamily = 'Verdana, system-ui, sans-serif';
+  const dims = calculateBadgeDimensions(iconData, preset);
 
   let textWidth = 0;
-  if (text){
-    textWidth = calculateTextWidth(text, fontSize) + dims.iconPadding ;
+  if (labelText){
+    textWidth = calculateTextWidth(labelText, preset.fontSize, font) + dims.iconPadding ;
   }
 
-  const totalWidth = dims.padding + dims.iconWidth + dims.padding + textWidth;
+  const labelWidth = dims.padding + dims.iconWidth + dims.padding + textWidth;
+  const chartWidth = chart ? getChartWidth(chart.values.length, dims.height) : 0;
+  // The chart and the message text share a segment, with half a padding between them
+  const messageTextX = labelWidth + dims.padding + (chart ? chartWidth + dims.padding / 2 : 0);
+  const messageWidth = message || chart
+    ? (message ? messageTextX - labelWidth + calculateTextWidth(message.text, preset.fontSize, font) : dims.padding + chartWidth) + dims.padding
+    : 0;
 
-  let cornerRadius = '';
-  switch (edges.toLowerCase()) {
-    case 'rounded':
-    case 'round':
-      cornerRadius = 'rx="8" ry="8"';
-      break;
-    case 'square':
-    case 'sharp':
-    case 'squared':
-      cornerRadius = 'rx="0" ry="0"';
-      break;
-    case 'pill':
-      cornerRadius = `rx="${dims.height / 2}" ry="${dims.height / 2}"`;
-      break;
+  const totalWidth = labelWidth + messageWidth;
+  const cornerRadius = getCornerRadius(edges, dims.height, preset.cornerRadius);
+
+  // Every defs ID is prefixed with this so inlined badges don't clash
+  const badgeId = createSvgId(text, bgColor, textColor, edges, message, options.style, chart, totalWidth);
+  const defs = [];
+
+  const labelBackground = renderBackground(bgColor, `${badgeId}-label-bg`);
+  if (labelBackground.defs) defs.push(labelBackground.defs);
+
+  let messageSection = '';
+  let messageTextSection = '';
+  if (message || chart) {
+    const messageBgColor = (message && message.bgColor) || (chart && chart.bgColor) || bgColor;
+    const messageBackground = renderBackground(messageBgColor, `${badgeId}-message-bg`);
+    if (messageBackground.defs) defs.push(messageBackground.defs);
+    const messageTextFormatted = formatColor(parseColor(resolveAutoColor((message && message.textColor) || (chart && chart.textColor) || textColor, messageBgColor)));
+
+    // Divider uses the message text color so it stays visible even when
+    // both segments share a background
+    messageSection = `
+    <rect
+      x="${labelWidth}"
+      width="${messageWidth}"
+      height="${dims.height}"
+      fill="${messageBackground.fill}"/>
+    <rect
+      x="${labelWidth}"
+      width="1"
+      height="${dims.height}"
+      fill="${messageTextFormatted}"
+      fill-opacity="0.25"/>`;
+    if (chart) {
+      const chartColor = chart.color ? formatColor(parseColor(resolveAutoColor(chart.color, messageBgColor))) : messageTextFormatted;
+      const chartBox = { x: labelWidth + dims.padding, y: Math.round(dims.height * 0.2), width: chartWidth, height: Math.round(dims.height * 0.6) };
+      messageTextSection += renderChart(chart.values, chart.type, chartBox, chartColor);
+    }
+    if (message) {
+      messageTextSection += renderText(message.text, messageTextX, messageTextFormatted, font, preset);
+    }
+  }
+
+  let glossSection = '';
+  if (preset.gloss) {
+    defs.push(`<linearGradient id="${badgeId}-gloss" x2="0" y2="100%">${GLOSS_STOPS[preset.gloss]}</linearGradient>`);
+    glossSection = `<rect
+      width="${totalWidth}"
+      height="${dims.height}"
+      fill="url(#${badgeId}-gloss)"/>`;
   }
 
   const iconSection = iconData ? `
@@ -136,6 +360,26 @@ function generateBadgeSvg(text, bgColor, iconData, textColor, edges) {
     style="image-rendering: optimizeQuality;"/>
     `: '';
 
+  const labelSection = `${iconSection}
+
+    ${labelText !== null && labelText !== undefined ? renderText(labelText, dims.padding + dims.iconWidth + dims.iconPadding, finalTextColor, font, preset) : ''}`;
+
+  // Backgrounds and gloss share a clip path so the outer corners stay rounded
+  defs.push(`<clipPath id="${badgeId}-clip">
+        <rect width="${totalWidth}" height="${dims.height}" ${cornerRadius}/>
+      </clipPath>`);
+
+  const body = `<g clip-path="url(#${badgeId}-clip)">
+    <rect
+      width="${labelWidth}"
+      height="${dims.height}"
+      fill="${labelBackground.fill}"/>
+    ${messageSection}
+    ${glossSection}
+    </g>
+    ${labelSection}
+    ${messageTextSection}`;
+
   return `
     <svg
       fill="white"
@@ -147,24 +391,10 @@ function generateBadgeSvg(text, bgColor, iconData, textColor, edges) {
       text-rendering="optimizeLegibility"
       image-rendering="optimizeQuality"
       color-rendering="optimizeQuality">
-    <rect
-      width="${totalWidth}"
-      height="${dims.height}"
-      fill="${bgColorFormatted}"
-      ${cornerRadius}/>
-    ${iconSection}
-
-    ${text !== null && text !== undefined ? `<text
-      x="${dims.padding + dims.iconWidth + dims.iconPadding}"
-      y="${dims.height / 2}"
-      text-anchor="start"
-      dominant-baseline="middle"
-      fill="${finalTextColor}"
-      font-size="${fontSize}"
-      font-weight="600"
-      font-family="${fontFamily}"
-      style="text-rendering: optimizeLegibility;
-      letter-spacing: 0.2em;">${text}</text>` : ''}
+    <defs>
+      ${defs.join('\n      ')}
+    </defs>
+    ${options.stale ? `<g opacity="${STALE_OPACITY}">${body}</g>` : body}
   </svg>`;
 }
 
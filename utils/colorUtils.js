@@ -1,25 +1,310 @@
-const { COLORS } = require('./constants');
+const { COLORS, CSS_COLORS } = require('./constants');
+
+// Palette lookups are case-insensitive, so "grayLight" and "graylight" both work
+const PALETTE = Object.fromEntries(Object.entries(COLORS).map(([name, rgb]) => [name.toLowerCase(), rgb]));
 
 /**
- * Turns color strings into RGB. Handles hex like "FF0000" or names like "red".
- * Falls back to white if input is garbage - better than breaking the badge.
- * @param {string} color - Color name or hex
- * @returns {Object} RGB object
+ * Parses hex digits (3, 4, 6 or 8 of them) into RGBA.
+ * @param {string} hex - Hex digits without "#"
+ * @returns {Object|null} RGBA object
+ */
+function parseHex(hex) {
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+
+  const digits = hex.length <= 4 ? hex.split('').map(d => d + d).join('') : hex;
+  const color = {
+    r: parseInt(digits.substr(0, 2), 16),
+    g: parseInt(digits.substr(2, 2), 16),
+    b: parseInt(digits.substr(4, 2), 16)
+  };
+
+  if (digits.length === 8) {
+    color.a = Math.round(parseInt(digits.substr(6, 2), 16) / 255 * 1000) / 1000;
+  }
+
+  return color;
+}
+
+/**
+ * Parses a CSS alpha value ("0.5" or "50%").
+ * @param {string} value - Alpha component
+ * @returns {number} Alpha between 0 and 1, NaN if invalid
+ */
+function parseAlpha(value) {
+  const alpha = value.endsWith('%') ? parseFloat(value) / 100 : parseFloat(value);
+  return Math.min(1, Math.max(0, alpha));
+}
+
+/**
+ * Splits the arguments of rgb()/hsl(), accepting both the comma syntax and
+ * the modern space syntax with "/ alpha".
+ * @param {string} args - Text between the parentheses
+ * @returns {string[]|null} Components
+ */
+function splitColorArgs(args) {
+  const parts = args.includes(',')
+    ? args.split(',').map(part => part.trim())
+    : args.replace('/', ' / ').trim().split(/\s+/).filter(part => part !== '/');
+
+  if (parts.length < 3 || parts.length > 4) return null;
+  if (!parts.every(part => /^[+-]?(\d+\.?\d*|\.\d+)(%|deg)?$/.test(part))) return null;
+
+  return parts;
+}
+
+/**
+ * Parses rgb()/rgba(). Channels can be numbers or percentages.
+ * @param {string} args - Function arguments
+ * @returns {Object|null} RGBA object
+ */
+function parseRgbFunction(args) {
+  const parts = splitColorArgs(args);
+  if (!parts) return null;
+
+  const [r, g, b] = parts.slice(0, 3).map(part => {
+    const value = part.endsWith('%') ? parseFloat(part) * 2.55 : parseFloat(part);
+    return Math.round(Math.min(255, Math.max(0, value)));
+  });
+
+  const color = { r, g, b };
+  if (parts[3] !== undefined) color.a = parseAlpha(parts[3]);
+  return color;
+}
+
+/**
+ * Parses hsl()/hsla() and converts it to RGB.
+ * @param {string} args - Function arguments
+ * @returns {Object|null} RGBA object
+ */
+function parseHslFunction(args) {
+  const parts = splitColorArgs(args);
+  if (!parts) return null;
+
+  const h = (((parseFloat(parts[0]) % 360) + 360) % 360) / 360;
+  const s = Math.min(100, Math.max(0, parseFloat(parts[1]))) / 100;
+  const l = Math.min(100, Math.max(0, parseFloat(parts[2]))) / 100;
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hueToRgb = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+
+  const color = {
+    r: Math.round(hueToRgb(h + 1 / 3) * 255),
+    g: Math.round(hueToRgb(h) * 255),
+    b: Math.round(hueToRgb(h - 1 / 3) * 255)
+  };
+  if (parts[3] !== undefined) color.a = parseAlpha(parts[3]);
+  return color;
+}
+
+/**
+ * Parses a color without throwing.
+ * @param {string} color - Color string
+ * @returns {Object|null} RGBA object, or null if not a color
+ */
+function tryParseColor(color) {
+  const value = color.trim().toLowerCase();
+
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (PALETTE[value]) return PALETTE[value];
+  if (CSS_COLORS[value]) return parseHex(CSS_COLORS[value]);
+
+  const fn = value.match(/^(rgba?|hsla?)\((.*)\)$/);
+  if (fn) {
+    return fn[1].startsWith('rgb') ? parseRgbFunction(fn[2]) : parseHslFunction(fn[2]);
+  }
+
+  // "#" is optional since it has to be escaped as %23 in URLs
+  return parseHex(value.replace(/^#/, ''));
+}
+
+/**
+ * Turns color strings into RGB(A). Handles our palette names, every CSS
+ * named color, hex (#rgb, #rrggbb, #rrggbbaa, "#" optional), rgb()/rgba()
+ * and hsl()/hsla(). Non-strings fall back to white, but a string that isn't
+ * a color throws so the caller can report it instead of drawing white-on-white.
+ * @param {string} color - Color string
+ * @returns {Object} RGB object, with `a` when the color has alpha
  */
 function parseColor(color) {
   if (typeof color !== 'string') {
     return COLORS.white;
   }
 
-  if (/^[0-9A-Fa-f]{6}$/.test(color)) {
-    return {
-      r: parseInt(color.substr(0, 2), 16),
-      g: parseInt(color.substr(2, 2), 16),
-      b: parseInt(color.substr(4, 2), 16)
-    };
-  } else {
-    return COLORS[color.toLowerCase()] || COLORS.white;
+  const parsed = tryParseColor(color);
+  if (!parsed) {
+    throw new Error(`Unknown color "${color}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Checks if a string is a color parseColor understands.
+ * @param {string} color - Color string
+ * @param {boolean} allowAuto - Whether "auto" counts as valid
+ * @returns {boolean} True if valid
+ */
+function isValidColor(color, allowAuto = false) {
+  if (typeof color !== 'string') return false;
+  if (allowAuto && color.trim().toLowerCase() === 'auto') return true;
+  return tryParseColor(color) !== null;
+}
+
+/**
+ * Splits on top-level commas only, so "rgb(0,0,0)" stays in one piece.
+ * @param {string} value - Comma separated list
+ * @returns {string[]} Trimmed parts
+ */
+function splitTopLevel(value) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of value) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+
+  return parts;
+}
+
+/**
+ * Parses a gradient background: "linear(90,blue,purple)" or
+ * "radial(teal,navy)". Any number of stops is allowed, each optionally
+ * followed by a position like "blue 30%". The linear angle follows CSS
+ * (0 = to top, 90 = to right) and defaults to 90.
+ * @param {string} value - Gradient string
+ * @returns {Object|null} { type, angle, stops: [{ color, offset }] } or null
+ */
+function parseGradient(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(/^(linear|radial)\((.*)\)$/);
+  if (!match) return null;
+
+  const type = match[1];
+  const args = splitTopLevel(match[2]);
+
+  let angle = 90;
+  if (type === 'linear' && /^-?\d+(\.\d+)?(deg)?$/.test(args[0])) {
+    angle = parseFloat(args.shift());
+  }
+
+  if (args.length < 2) return null;
+
+  const stops = [];
+  for (const [index, arg] of args.entries()) {
+    const position = arg.match(/^(.*\S)\s+(\d+(\.\d+)?)%$/);
+    const color = tryParseColor(position ? position[1] : arg);
+    if (!color) return null;
+
+    const offset = position
+      ? Math.min(100, parseFloat(position[2])) / 100
+      : index / (args.length - 1);
+    stops.push({ color, offset });
+  }
+
+  return { type, angle, stops };
+}
+
+/**
+ * Checks if a string works as a background, i.e. a color or a gradient.
+ * @param {string} value - Background string
+ * @returns {boolean} True if valid
+ */
+function isValidBackground(value) {
+  return isValidColor(value) || parseGradient(value) !== null;
+}
+
+/**
+ * Average color of a background. Solid colors come back as-is; gradients
+ * average their stops, which is what contrast checks compare against.
+ * @param {string} background - Color or gradient string
+ * @returns {Object} RGB object
+ */
+function getAverageColor(background) {
+  const gradient = parseGradient(background);
+  if (!gradient) return parseColor(background);
+
+  const total = gradient.stops.reduce((sum, { color }) => ({
+    r: sum.r + color.r,
+    g: sum.g + color.g,
+    b: sum.b + color.b
+  }), { r: 0, g: 0, b: 0 });
+
+  const count = gradient.stops.length;
+  return {
+    r: Math.round(total.r / count),
+    g: Math.round(total.g / count),
+    b: Math.round(total.b / count)
+  };
+}
+
+/**
+ * Formats a parsed color for SVG attributes, keeping alpha when present.
+ * @param {Object} rgb - RGB(A) object
+ * @returns {string} rgb() or rgba() string
+ */
+function formatColor(rgb) {
+  if (rgb.a !== undefined && rgb.a < 1) {
+    return `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${rgb.a})`;
+  }
+  return `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+}
+
+/**
+ * WCAG relative luminance of a color.
+ * @param {Object} rgb - RGB object
+ * @returns {number} Luminance between 0 and 1
+ */
+function getLuminance(rgb) {
+  const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(channel => {
+    const c = channel / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Picks black or white, whichever has the better WCAG contrast ratio
+ * against the background.
+ * @param {Object} background - Parsed background color
+ * @returns {string} "black" or "white"
+ */
+function getContrastColor(background) {
+  const luminance = getLuminance(background);
+  const contrastWithWhite = 1.05 / (luminance + 0.05);
+  const contrastWithBlack = (luminance + 0.05) / 0.05;
+  return contrastWithBlack > contrastWithWhite ? 'black' : 'white';
+}
+
+/**
+ * Resolves "auto" text/icon colors against the background they sit on.
+ * Gradients are judged by their average color. Anything else passes
+ * through untouched.
+ * @param {string} color - Requested color
+ * @param {string} bgColor - Background color or gradient
+ * @returns {string} Concrete color
+ */
+function resolveAutoColor(color, bgColor) {
+  if (typeof color !== 'string' || color.trim().toLowerCase() !== 'auto') {
+    return color;
   }
+  return getContrastColor(getAverageColor(bgColor));
 }
 
 /**
@@ -31,7 +316,7 @@ function parseColor(color) {
  */
 function changeSvgColor(svgString, targetColor) {
   const rgb = parseColor(targetColor);
-  const finalColor = `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
+  const finalColor = formatColor(rgb);
   let enhanced = svgString;
 
   // Handle SVGs with raster images - use filters to colorize without losing detail
@@ -145,4 +430,4 @@ function changeSvgColor(svgString, targetColor) {
   return enhanced;
 }
 
-module.exports = { parseColor, changeSvgColor };
\ No newline at end of file
+module.exports = { parseColor, isValidColor, parseGradient, isValidBackground, formatColor, getContrastColor, resolveAutoColor, changeSvgColor };
\ No newline at end of file
@@ -45,19 +45,179 @@ const COLORS = {
 };
 
 /**
- * Icon sources from popular libraries. Uses CDNs for easy updates,
- * but cache locally in production. {icon} gets replaced with the icon name.
+ * Every CSS named color, as hex. Used when a name isn't in our own palette
+ * above, so "rebeccapurple" or "cornflowerblue" just work.
+ */
+const CSS_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+  blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+  burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+  darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+  fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+  goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+  grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+  linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+  midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+  olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+  papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+  plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+  salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+  steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+  white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+};
+
+/**
+ * Badge style presets. "default" is the original EZ Badges look; the rest
+ * mirror the shields.io styles so badges sit nicely next to theirs.
+ * Explicit params like `edges` override the preset's corner radius.
+ */
+const STYLE_PRESETS = {
+  default: {
+    height: 32, fontSize: 11, fontWeight: 600, letterSpacing: 0.2, textTransform: 'none',
+    padding: 12, iconPadding: 8, cornerRadius: 0, gloss: null, textShadow: false
+  },
+  flat: {
+    height: 20, fontSize: 11, fontWeight: 400, letterSpacing: 0, textTransform: 'none',
+    padding: 6, iconPadding: 4, cornerRadius: 3, gloss: 'subtle', textShadow: true
+  },
+  'flat-square': {
+    height: 20, fontSize: 11, fontWeight: 400, letterSpacing: 0, textTransform: 'none',
+    padding: 6, iconPadding: 4, cornerRadius: 0, gloss: null, textShadow: false
+  },
+  plastic: {
+    height: 18, fontSize: 11, fontWeight: 400, letterSpacing: 0, textTransform: 'none',
+    padding: 6, iconPadding: 4, cornerRadius: 4, gloss: 'strong', textShadow: true
+  },
+  'for-the-badge': {
+    height: 28, fontSize: 10, fontWeight: 700, letterSpacing: 0.125, textTransform: 'uppercase',
+    padding: 12, iconPadding: 6, cornerRadius: 0, gloss: null, textShadow: false
+  },
+  social: {
+    height: 20, fontSize: 11, fontWeight: 700, letterSpacing: 0, textTransform: 'none',
+    padding: 6, iconPadding: 4, cornerRadius: 3, gloss: 'subtle', textShadow: false
+  }
+};
+
+/**
+ * Icon sources from popular libraries, pinned to exact versions. Each one
+ * can be served from its CDN or from the same npm package installed locally
+ * (see iconUtils.js). {icon} gets replaced with the icon name.
  */
 const ICON_PROVIDERS = {
-  'fontawesome-solid': 'https://unpkg.com/@fortawesome/fontawesome-free@6.5.1/svgs/solid/{icon}.svg',
-  'fontawesome-regular': 'https://unpkg.com/@fortawesome/fontawesome-free@6.5.1/svgs/regular/{icon}.svg',
-  'fontawesome-brands': 'https://unpkg.com/@fortawesome/fontawesome-free@6.5.1/svgs/brands/{icon}.svg',
-  'bootstrap': 'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.11.1/icons/{icon}.svg',
-  'heroicons-outline': 'https://unpkg.com/heroicons@2.0.18/24/outline/{icon}.svg',
-  'heroicons-solid': 'https://unpkg.com/heroicons@2.0.18/24/solid/{icon}.svg',
-  'lucide': 'https://unpkg.com/lucide-static@latest/icons/{icon}.svg',
-  'tabler': 'https://unpkg.com/@tabler/icons@latest/icons/{icon}.svg',
-  'simple-icons': 'https://cdn.jsdelivr.net/npm/simple-icons@v10/icons/{icon}.svg'
+  'fontawesome-solid': { package: '@fortawesome/fontawesome-free', version: '6.5.1', path: 'svgs/solid/{icon}.svg', cdn: 'unpkg' },
+  'fontawesome-regular': { package: '@fortawesome/fontawesome-free', version: '6.5.1', path: 'svgs/regular/{icon}.svg', cdn: 'unpkg' },
+  'fontawesome-brands': { package: '@fortawesome/fontawesome-free', version: '6.5.1', path: 'svgs/brands/{icon}.svg', cdn: 'unpkg' },
+  'bootstrap': { package: 'bootstrap-icons', version: '1.11.1', path: 'icons/{icon}.svg', cdn: 'jsdelivr' },
+  'heroicons-outline': { package: 'heroicons', version: '2.0.18', path: '24/outline/{icon}.svg', cdn: 'unpkg' },
+  'heroicons-solid': { package: 'heroicons', version: '2.0.18', path: '24/solid/{icon}.svg', cdn: 'unpkg' },
+  'lucide': { package: 'lucide-static', version: '0.460.0', path: 'icons/{icon}.svg', cdn: 'unpkg' },
+  'tabler': { package: '@tabler/icons', version: '2.47.0', path: 'icons/{icon}.svg', cdn: 'unpkg' },
+  'simple-icons': { package: 'simple-icons', version: '10.4.0', path: 'icons/{icon}.svg', cdn: 'jsdelivr' }
+};
+
+/**
+ * CDN URL prefixes. {package} and {version} come from ICON_PROVIDERS.
+ */
+const ICON_CDNS = {
+  unpkg: 'https://unpkg.com/{package}@{version}/',
+  jsdelivr: 'https://cdn.jsdelivr.net/npm/{package}@{version}/'
+};
+
+/**
+ * User-agents of crawlers, link previewers and monitoring tools. They never
+ * count as unique visitors. GitHub's Camo proxy is deliberately not here,
+ * since every README view goes through it.
+ */
+const CRAWLER_USER_AGENTS = [
+  /bot\b/i, /crawl/i, /spider/i, /slurp/i, /archiver/i,
+  /facebookexternalhit/i, /embedly/i, /quora link preview/i, /whatsapp/i,
+  /headlesschrome/i, /lighthouse/i, /pingdom/i, /uptimerobot/i,
+  /python-requests/i, /\bcurl\//i, /\bwget\//i, /go-http-client/i
+];
+
+/**
+ * What the viewers badge counts: every fetch, unique visitors, or both.
+ */
+const VIEWER_MODES = ['total', 'unique', 'both'];
+
+/**
+ * Sparkline badge options: chart types and how many days it can cover.
+ */
+const CHART_TYPES = ['line', 'bar'];
+const SPARKLINE_PERIOD = { min: 2, max: 90, default: 30 };
+
+/**
+ * How dynamic badges show counts and dates (see utils/formatUtils.js), and
+ * the most decimal places a count can ask for.
+ */
+const VALUE_FORMATS = ['metric', 'grouped', 'raw'];
+const DATE_FORMATS = ['relative', 'iso', 'short', 'medium', 'long'];
+const MAX_PRECISION = 3;
+
+/**
+ * How long each badge type trusts a cached upstream response (seconds), and
+ * how long after that it's still shown while being refreshed. See
+ * utils/upstreamCache.js.
+ */
+const UPSTREAM_CACHE_TTLS = {
+  stars: { ttl: 600, staleWhileRevalidate: 3600 },
+  'open-issues': { ttl: 300, staleWhileRevalidate: 3600 },
+  'last-commit': { ttl: 600, staleWhileRevalidate: 3600 },
+  downloads: { ttl: 3600, staleWhileRevalidate: 6 * 3600 },
+  version: { ttl: 900, staleWhileRevalidate: 3600 },
+  node: { ttl: 3600, staleWhileRevalidate: 24 * 3600 },
+  types: { ttl: 3600, staleWhileRevalidate: 24 * 3600 },
+  dependents: { ttl: 6 * 3600, staleWhileRevalidate: 24 * 3600 },
+  release: { ttl: 900, staleWhileRevalidate: 3600 },
+  license: { ttl: 3600, staleWhileRevalidate: 24 * 3600 },
+  forks: { ttl: 600, staleWhileRevalidate: 3600 },
+  watchers: { ttl: 600, staleWhileRevalidate: 3600 },
+  contributors: { ttl: 3600, staleWhileRevalidate: 24 * 3600 },
+  'open-prs': { ttl: 300, staleWhileRevalidate: 3600 },
+  workflow: { ttl: 120, staleWhileRevalidate: 600 }
+};
+
+/**
+ * How long (seconds) the json, xml and yaml badges reuse a fetched document,
+ * set by the caller with cacheSeconds.
+ */
+const QUERY_CACHE_SECONDS = { min: 30, max: 86400, default: 300 };
+
+/**
+ * Workflow run conclusions as the workflow badge shows them.
+ */
+const WORKFLOW_CONCLUSIONS = {
+  success: { message: 'passing', color: 'green' },
+  failure: { message: 'failing', color: 'red' },
+  timed_out: { message: 'timed out', color: 'red' },
+  startup_failure: { message: 'failing', color: 'red' },
+  action_required: { message: 'action required', color: 'orange' },
+  cancelled: { message: 'cancelled', color: 'gray' },
+  skipped: { message: 'skipped', color: 'gray' },
+  neutral: { message: 'neutral', color: 'gray' },
+  stale: { message: 'stale', color: 'gray' }
 };
 
-module.exports = { COLORS, ICON_PROVIDERS };
\ No newline at end of file
+module.exports = { COLORS, CSS_COLORS, STYLE_PRESETS, ICON_PROVIDERS, ICON_CDNS, CRAWLER_USER_AGENTS, VIEWER_MODES, CHART_TYPES, SPARKLINE_PERIOD, VALUE_FORMATS, DATE_FORMATS, MAX_PRECISION, UPSTREAM_CACHE_TTLS, WORKFLOW_CONCLUSIONS, QUERY_CACHE_SECONDS };
\ No newline at end of file
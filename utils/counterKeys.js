@@ -0,0 +1,78 @@
+/**
+ * Counter keys are "namespace/name": a repo ("owner/repo"), or anything else
+ * worth counting ("profile/leonardocerv", "docs/getting-started",
+ * "blog/2024-launch"). Both parts are lowercased and limited to a-z, 0-9,
+ * ".", "_" and "-", so "/" only ever separates them. Stores may append a
+ * variant (e.g. "owner/repo:unique"); ":" never appears in a part either.
+ */
+const SEGMENT_PATTERN = /^[a-z0-9._-]{1,100}$/;
+const COUNTER_VARIANTS = ['unique'];
+
+/**
+ * Whether a string is a valid namespace or name.
+ * @param {string} segment - One part of a key
+ * @returns {boolean} True if valid
+ */
+function isValidSegment(segment) {
+  return SEGMENT_PATTERN.test(segment) && segment !== '.' && segment !== '..';
+}
+
+/**
+ * Builds the error for a key we won't store.
+ * @param {string} value - Rejected key
+ * @returns {Error} Error with statusCode 400
+ */
+function invalidKeyError(value) {
+  const error = new Error(`Invalid counter key "${value}", expected namespace/name using a-z, 0-9, ".", "_" and "-"`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Lowercases and validates a "namespace/name" key.
+ * @param {string} value - Key from the request (repo= or key=)
+ * @returns {string} Normalized key
+ */
+function normalizeCounterKey(value) {
+  const key = String(value || '').trim().toLowerCase();
+  const parts = key.split('/');
+  if (parts.length !== 2 || !parts.every(isValidSegment)) {
+    throw invalidKeyError(value);
+  }
+  return key;
+}
+
+/**
+ * Whether a key as stored (possibly with a variant) is well formed.
+ * @param {string} key - Stored key
+ * @returns {boolean} True if valid
+ */
+function isValidStoredKey(key) {
+  const [base, variant, ...rest] = String(key).split(':');
+  if (rest.length || (variant !== undefined && !COUNTER_VARIANTS.includes(variant))) return false;
+  const parts = base.split('/');
+  return parts.length === 2 && parts.every(isValidSegment);
+}
+
+/**
+ * Turns a stored key into a file name part. "~" and "+" can't appear in a
+ * key, so the mapping is reversible and keys can't collide.
+ * @param {string} key - Stored key
+ * @returns {string} File name part
+ */
+function toFileName(key) {
+  return key.replace('/', '~').replace(':', '+');
+}
+
+/**
+ * Reverses toFileName.
+ * @param {string} fileName - File name part
+ * @returns {string|null} Stored key, or null for names not made by toFileName
+ */
+function fromFileName(fileName) {
+  if (!fileName.includes('~')) return null;
+  const key = fileName.replace('~', '/').replace('+', ':');
+  return isValidStoredKey(key) ? key : null;
+}
+
+module.exports = { COUNTER_VARIANTS, normalizeCounterKey, isValidStoredKey, toFileName, fromFileName };
@@ -0,0 +1,288 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Limits for anything we download on behalf of a badge request. Keeps slow
+ * or huge upstreams from tying up the server.
+ */
+const FETCH_TIMEOUT = 10000;
+const MAX_RESPONSE_SIZE = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Every outbound request goes through the guard below, since icon URLs and
+ * endpoint URLs come straight from users. Operators can tune it with:
+ *
+ *   FETCH_DENY_HOSTS   - Hosts that are never fetched
+ *   FETCH_ALLOW_HOSTS  - Hosts that are trusted, even on private addresses
+ *   FETCH_ALLOW_ONLY   - "true" to fetch nothing but FETCH_ALLOW_HOSTS
+ *
+ * Host lists are comma separated and accept wildcards like "*.example.com".
+ */
+const DENY_HOSTS = parseHostList(process.env.FETCH_DENY_HOSTS);
+const ALLOW_HOSTS = parseHostList(process.env.FETCH_ALLOW_HOSTS);
+const ALLOW_ONLY = process.env.FETCH_ALLOW_ONLY === 'true';
+
+/**
+ * Addresses no user-supplied URL should reach: loopback, private networks,
+ * link-local (cloud metadata lives at 169.254.169.254), CGNAT, multicast
+ * and reserved ranges.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Splits a comma separated host list from the environment.
+ * @param {string} value - Raw env value
+ * @returns {string[]} Lowercased host patterns
+ */
+function parseHostList(value) {
+  return (value || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Checks a host against a list, supporting "*.example.com" wildcards.
+ * @param {string} hostname - Host to check
+ * @param {string[]} list - Host patterns
+ * @returns {boolean} True if listed
+ */
+function hostMatches(hostname, list) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  return list.some(pattern => pattern.startsWith('*.')
+    ? host.endsWith(pattern.slice(1)) || host === pattern.slice(2)
+    : host === pattern);
+}
+
+/**
+ * Builds the error thrown when the guard refuses a request.
+ * @param {string} message - What was refused
+ * @returns {Error} Error with code FETCH_BLOCKED
+ */
+function blockedError(message) {
+  const error = new Error(message);
+  error.code = 'FETCH_BLOCKED';
+  return error;
+}
+
+/**
+ * Whether an IP address is in one of the blocked ranges. IPv4-mapped IPv6
+ * addresses (::ffff:127.0.0.1) are checked as the IPv4 address they wrap.
+ * @param {string} address - IP address
+ * @returns {boolean} True if blocked
+ */
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_ADDRESSES.check(address, 'ipv4');
+  if (family !== 6) return true;
+
+  const mapped = address.toLowerCase().match(/^::ffff:(?:0+:)?(\d+\.\d+\.\d+\.\d+|[0-9a-f]{1,4}:[0-9a-f]{1,4})$/);
+  if (mapped) {
+    let ipv4 = mapped[1];
+    if (ipv4.includes(':')) {
+      const [high, low] = ipv4.split(':').map(part => parseInt(part, 16));
+      ipv4 = [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+    return BLOCKED_ADDRESSES.check(ipv4, 'ipv4');
+  }
+
+  return BLOCKED_ADDRESSES.check(address, 'ipv6');
+}
+
+/**
+ * DNS lookup used by our HTTP agents. Refuses to hand a blocked address to
+ * the socket, which also covers DNS rebinding between our own check and
+ * the actual connection.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    if (hostMatches(hostname, ALLOW_HOSTS)) return callback(null, address, family);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    const blocked = addresses.find(isBlockedAddress);
+    if (blocked) {
+      return callback(blockedError(`Refusing to connect to ${hostname} (${blocked})`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Checks a URL before every hop: scheme, host lists, and the addresses the
+ * host resolves to. IP literals never hit the lookup above, so they are
+ * checked here.
+ * @param {string} url - URL about to be requested
+ * @returns {Promise<URL>} Parsed URL
+ */
+async function assertUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw blockedError(`Invalid URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw blockedError(`Only http and https URLs can be fetched, got ${parsed.protocol}`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  if (hostMatches(hostname, DENY_HOSTS)) {
+    throw blockedError(`Host ${hostname} is denied`);
+  }
+  if (hostMatches(hostname, ALLOW_HOSTS)) {
+    return parsed;
+  }
+  if (ALLOW_ONLY) {
+    throw blockedError(`Host ${hostname} is not on the allowlist`);
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) {
+    throw blockedError(`Refusing to fetch ${hostname}, it resolves to a private address (${blocked})`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Reads a response stream into a buffer, aborting as soon as it passes the
+ * size cap instead of trusting Content-Length.
+ * @param {Object} response - Axios stream response
+ * @returns {Promise<Buffer>} Response body
+ */
+function readLimitedBody(response) {
+  const declaredLength = parseInt(response.headers['content-length'], 10);
+  if (declaredLength > MAX_RESPONSE_SIZE) {
+    response.data.destroy();
+    return Promise.reject(blockedError(`Response is larger than ${MAX_RESPONSE_SIZE} bytes`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    response.data.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_RESPONSE_SIZE) {
+        response.data.destroy();
+        reject(blockedError(`Response is larger than ${MAX_RESPONSE_SIZE} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.data.on('end', () => resolve(Buffer.concat(chunks)));
+    response.data.on('error', reject);
+  });
+}
+
+/**
+ * Downloads a URL with the shared timeout and size cap, keeping the status
+ * and headers so callers can honour caching headers. A 304 is treated as
+ * success for conditional requests. Redirects are followed by hand so
+ * every hop goes through the guard.
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} { status, headers, buffer }
+ */
+async function fetchResponse(url, headers = {}) {
+  // One deadline for the whole exchange, redirects and body included
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+  try {
+    let currentUrl = url;
+
+    for (let redirects = 0; ; redirects++) {
+      await assertUrlAllowed(currentUrl);
+
+      const response = await axios.get(currentUrl, {
+        responseType: 'stream',
+        timeout: FETCH_TIMEOUT,
+        maxRedirects: 0,
+        signal: controller.signal,
+        httpAgent,
+        httpsAgent,
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (compatible; BadgeGenerator/1.0)',
+          'Accept-Encoding': 'gzip, deflate, br',
+          ...headers
+        }
+      });
+
+      const { status } = response;
+
+      if ([301, 302, 303, 307, 308].includes(status) && response.headers.location) {
+        response.data.destroy();
+        if (redirects >= MAX_REDIRECTS) {
+          throw blockedError(`Too many redirects fetching ${url}`);
+        }
+        currentUrl = new URL(response.headers.location, currentUrl).toString();
+        continue;
+      }
+
+      const buffer = await readLimitedBody(response);
+
+      if (!((status >= 200 && status < 300) || status === 304)) {
+        // Same shape as an axios error so callers can read error.response.status
+        const error = new Error(`Request failed with status code ${status}`);
+        error.response = { status, headers: response.headers, data: buffer };
+        throw error;
+      }
+
+      return { status, headers: response.headers, buffer };
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Downloads a URL into a buffer with the shared timeout and size cap.
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Buffer>} Response body
+ */
+async function fetchBuffer(url, headers = {}) {
+  const response = await fetchResponse(url, headers);
+  return response.buffer;
+}
+
+/**
+ * Fetches and parses a JSON API response.
+ * @param {string} url - URL to fetch
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} { status, headers, data }
+ */
+async function fetchJson(url, headers = {}) {
+  const response = await fetchResponse(url, { 'Accept': 'application/json', ...headers });
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: response.buffer.length ? JSON.parse(response.buffer.toString('utf8')) : null
+  };
+}
+
+module.exports = { FETCH_TIMEOUT, MAX_RESPONSE_SIZE, MAX_REDIRECTS, isBlockedAddress, assertUrlAllowed, fetchResponse, fetchBuffer, fetchJson };
@@ -0,0 +1,101 @@
+/**
+ * Turns counts and dates into badge text. Shared by every dynamic badge so
+ * `valueFormat`, `precision`, `dateFormat` and `locale` work the same way
+ * everywhere.
+ *
+ *   metric    - 12.3k, 1.2M (default for counts)
+ *   grouped   - 12,345 (grouping follows the locale)
+ *   raw       - 12345
+ *
+ *   relative  - 3 hours ago, 2 years ago (default for dates)
+ *   iso       - 2024-05-01
+ *   short, medium, long - The locale's own date styles
+ */
+
+const METRIC_SUFFIXES = ['', 'k', 'M', 'G', 'T', 'P'];
+
+// Largest unit that fits wins, so 36 hours is "2 days ago" rather than "36 hours ago".
+// The last column is how many of a unit roll over into the next one, checked
+// after rounding so 59.5 minutes is "1 hour ago" rather than "60 minutes ago"
+const RELATIVE_UNITS = [
+  ['year', 365 * 24 * 60 * 60, Infinity],
+  ['month', 30 * 24 * 60 * 60, 12],
+  ['day', 24 * 60 * 60, 30],
+  ['hour', 60 * 60, 24],
+  ['minute', 60, 60],
+  ['second', 1, 60]
+];
+
+/**
+ * Whether Intl knows a locale.
+ * @param {string} locale - BCP 47 tag, e.g. "de-DE"
+ * @returns {boolean} True if usable
+ */
+function isValidLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Formats a count.
+ * @param {number} value - Count
+ * @param {Object} options - { valueFormat, precision, locale }
+ * @returns {string} Formatted count
+ */
+function formatCount(value, { valueFormat = 'metric', precision, locale = 'en-US' } = {}) {
+  if (valueFormat === 'raw') return String(value);
+
+  if (valueFormat === 'grouped') {
+    return new Intl.NumberFormat(locale, { maximumFractionDigits: precision === undefined ? 0 : precision }).format(value);
+  }
+
+  let scaled = value;
+  let index = 0;
+  while (Math.abs(scaled) >= 1000 && index < METRIC_SUFFIXES.length - 1) {
+    scaled /= 1000;
+    index++;
+  }
+
+  // One decimal below 100 ("12.3k"), none above ("123k"), unless asked
+  const digits = precision === undefined ? (index > 0 && Math.abs(scaled) < 100 ? 1 : 0) : precision;
+  const rounded = Number(scaled.toFixed(digits));
+
+  // 999.95k rounds up to 1000k, which reads better as 1M
+  if (Math.abs(rounded) >= 1000 && index < METRIC_SUFFIXES.length - 1) {
+    return formatCount(Math.sign(value) * 1000 ** (index + 1), { valueFormat, precision, locale });
+  }
+
+  return new Intl.NumberFormat(locale, { maximumFractionDigits: digits }).format(rounded) + METRIC_SUFFIXES[index];
+}
+
+/**
+ * Formats a moment in time, relative to now or as a date.
+ * @param {Date} date - Moment to show
+ * @param {Object} options - { dateFormat, locale, now }
+ * @returns {string} Formatted date
+ */
+function formatDate(date, { dateFormat = 'relative', locale = 'en-US', now = new Date() } = {}) {
+  if (dateFormat === 'iso') return date.toISOString().slice(0, 10);
+
+  if (dateFormat !== 'relative') {
+    return new Intl.DateTimeFormat(locale, { dateStyle: dateFormat, timeZone: 'UTC' }).format(date);
+  }
+
+  const seconds = (date.getTime() - now.getTime()) / 1000;
+  let index = RELATIVE_UNITS.findIndex(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds);
+  if (index === -1) index = RELATIVE_UNITS.length - 1;
+
+  // Past dates are negative, and Math.round(-1.5) is -1, so round the magnitude
+  const amountIn = (i) => Math.round(Math.abs(seconds) / RELATIVE_UNITS[i][1]);
+  while (index > 0 && amountIn(index) >= RELATIVE_UNITS[index][2]) {
+    index--;
+  }
+
+  const amount = Math.sign(seconds) * amountIn(index);
+  return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(amount || 0, RELATIVE_UNITS[index][0]);
+}
+
+module.exports = { isValidLocale, formatCount, formatDate };
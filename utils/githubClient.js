@@ -0,0 +1,234 @@
+const { fetchJson } = require('./fetchUtils');
+
+/**
+ * Client for the GitHub REST API used by every GitHub badge. Configured
+ * through env:
+ *
+ *   GITHUB_TOKENS   - Comma separated tokens to rotate across (or GITHUB_TOKEN)
+ *   GITHUB_API_URL  - API root, e.g. a GitHub Enterprise server or a local
+ *                     mock (default https://api.github.com). A mock on a
+ *                     local address also needs FETCH_ALLOW_HOSTS, or the
+ *                     fetch guard refuses it
+ *
+ * Each token's X-RateLimit-* headers are tracked, so requests go to a token
+ * with quota left. A 403/429 rate limit response parks that token until its
+ * reset (or Retry-After) and the request moves on to the next one. Without
+ * tokens, requests are anonymous and share the 60 an hour limit.
+ *
+ * Failures come back as errors with a code callers can act on:
+ *
+ *   GITHUB_NOT_FOUND     - The repo (or whatever was asked for) doesn't exist
+ *   GITHUB_RATE_LIMITED  - Every token is out of quota, see error.retryAfter
+ *   GITHUB_UNAVAILABLE   - GitHub is down, slow or answered with nonsense
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// GitHub's own rules for owner and repo names. Anything else could walk the
+// API path (repo=../../user) with our tokens attached
+const REPO_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+// Wait this long before retrying a token GitHub refused without saying when
+const DEFAULT_BACKOFF_SECONDS = 60;
+
+/**
+ * Builds a client error with one of the codes above.
+ * @param {string} code - Error code
+ * @param {string} message - What went wrong
+ * @param {Error} cause - Underlying error, if any
+ * @returns {Error} Error with code (and response, when there was one)
+ */
+function githubError(code, message, cause) {
+  const error = new Error(message);
+  error.code = code;
+  if (cause && cause.response) error.response = cause.response;
+  return error;
+}
+
+/**
+ * Checks an "owner/repo" param before it goes into an API path.
+ * @param {string} repo - Repo param
+ * @returns {boolean} True if it's a plain owner/repo
+ */
+function isValidRepo(repo) {
+  if (typeof repo !== 'string' || !REPO_PATTERN.test(repo)) return false;
+  const name = repo.split('/')[1];
+  return name !== '.' && name !== '..';
+}
+
+/**
+ * Reads the tokens from env.
+ * @param {Object} env - Process env
+ * @returns {string[]} Tokens
+ */
+function readTokens(env) {
+  return (env.GITHUB_TOKENS || env.GITHUB_TOKEN || '').split(',').map(token => token.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a 403/429 is GitHub's rate limiting rather than a permission error.
+ * @param {Object} response - { status, headers, data }
+ * @returns {boolean} True if rate limited
+ */
+function isRateLimitResponse(response) {
+  if (response.status === 429) return true;
+  if (response.headers['retry-after'] || response.headers['x-ratelimit-remaining'] === '0') return true;
+  return /rate limit/i.test(Buffer.isBuffer(response.data) ? response.data.toString('utf8') : String(response.data));
+}
+
+class GitHubClient {
+  constructor({ tokens = [], baseUrl = DEFAULT_API_URL } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    // Rate limit state per token; null is the anonymous "token"
+    this.tokens = (tokens.length ? tokens : [null]).map(token => ({
+      token,
+      limit: null,
+      remaining: null,
+      resetAt: 0, // ms timestamp the quota comes back
+      blockedUntil: 0 // ms timestamp a 403/429 told us to wait for
+    }));
+    this.nextIndex = 0;
+  }
+
+  /**
+   * Picks the next token that isn't out of quota, round robin.
+   * @returns {Object|null} Token state, or null if every token is parked
+   */
+  pickToken() {
+    const now = Date.now();
+    for (let i = 0; i < this.tokens.length; i++) {
+      const state = this.tokens[(this.nextIndex + i) % this.tokens.length];
+      const exhausted = state.remaining === 0 && state.resetAt > now;
+      if (!exhausted && state.blockedUntil <= now) {
+        this.nextIndex = (this.tokens.indexOf(state) + 1) % this.tokens.length;
+        return state;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Seconds until the first parked token can be used again.
+   * @returns {number} Seconds
+   */
+  getRetryAfter() {
+    const now = Date.now();
+    const times = this.tokens.map(state => Math.max(state.blockedUntil, state.remaining === 0 ? state.resetAt : 0));
+    return Math.max(1, Math.ceil((Math.min(...times) - now) / 1000));
+  }
+
+  /**
+   * Records the X-RateLimit-* headers of a response against its token.
+   * @param {Object} state - Token state
+   * @param {Object} headers - Response headers
+   */
+  updateRateLimit(state, headers) {
+    if (headers['x-ratelimit-limit'] !== undefined) state.limit = parseInt(headers['x-ratelimit-limit'], 10);
+    if (headers['x-ratelimit-remaining'] !== undefined) state.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    if (headers['x-ratelimit-reset'] !== undefined) state.resetAt = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+  }
+
+  /**
+   * Parks a token after a rate limit response, until Retry-After or the
+   * quota reset.
+   * @param {Object} state - Token state
+   * @param {Object} headers - Response headers
+   */
+  backOff(state, headers) {
+    const retryAfter = parseInt(headers['retry-after'], 10);
+    if (retryAfter > 0) {
+      state.blockedUntil = Date.now() + retryAfter * 1000;
+    } else if (state.remaining === 0 && state.resetAt > Date.now()) {
+      state.blockedUntil = state.resetAt;
+    } else {
+      state.blockedUntil = Date.now() + DEFAULT_BACKOFF_SECONDS * 1000;
+    }
+  }
+
+  /**
+   * GETs an API path, e.g. "/repos/owner/repo".
+   * @param {string} path - API path with query string
+   * @param {Object} headers - Extra headers (e.g. If-None-Match)
+   * @returns {Promise<Object>} { status, headers, data } like fetchJson
+   */
+  async request(path, headers = {}) {
+    // Last line of defense if a caller skipped isValidRepo: "." and ".."
+    // segments would be resolved away and reach a different endpoint
+    if (path.split('?')[0].split('/').some(segment => segment === '.' || segment === '..')) {
+      throw githubError('GITHUB_NOT_FOUND', `Refusing GitHub path ${path}`);
+    }
+
+    for (;;) {
+      const state = this.pickToken();
+      if (!state) {
+        const error = githubError('GITHUB_RATE_LIMITED', `GitHub rate limit reached for ${path}`);
+        error.retryAfter = this.getRetryAfter();
+        throw error;
+      }
+
+      try {
+        const response = await fetchJson(`${this.baseUrl}${path}`, {
+          'Accept': 'application/vnd.github+json',
+          'X-GitHub-Api-Version': '2022-11-28',
+          ...(state.token ? { 'Authorization': `Bearer ${state.token}` } : {}),
+          ...headers
+        });
+        this.updateRateLimit(state, response.headers);
+        return response;
+      } catch (error) {
+        const { response } = error;
+        if (!response) {
+          throw githubError('GITHUB_UNAVAILABLE', `GitHub request for ${path} failed: ${error.message}`, error);
+        }
+
+        this.updateRateLimit(state, response.headers);
+
+        if ((response.status === 403 || response.status === 429) && isRateLimitResponse(response)) {
+          this.backOff(state, response.headers);
+          continue; // Try the next token
+        }
+        if (response.status === 401 && state.token) {
+          console.warn('GitHub rejected a token, leaving it out for an hour');
+          state.blockedUntil = Date.now() + 60 * 60 * 1000;
+          continue;
+        }
+        if (response.status === 404) {
+          throw githubError('GITHUB_NOT_FOUND', `GitHub has nothing at ${path}`, error);
+        }
+        throw githubError('GITHUB_UNAVAILABLE', `GitHub request for ${path} failed with status ${response.status}`, error);
+      }
+    }
+  }
+
+  /**
+   * Rate limit state of every token, for monitoring. Tokens are never shown.
+   * @returns {Object[]} { token, limit, remaining, resetAt, blockedUntil }
+   */
+  getRateLimits() {
+    return this.tokens.map((state, index) => ({
+      token: state.token ? `#${index + 1}` : 'anonymous',
+      limit: state.limit,
+      remaining: state.remaining,
+      resetAt: state.resetAt ? new Date(state.resetAt).toISOString() : null,
+      blockedUntil: state.blockedUntil > Date.now() ? new Date(state.blockedUntil).toISOString() : null
+    }));
+  }
+}
+
+let githubClient = null;
+
+/**
+ * Shared client built from env on first use.
+ * @returns {GitHubClient} Client
+ */
+function getGitHubClient() {
+  if (!githubClient) {
+    githubClient = new GitHubClient({
+      tokens: readTokens(process.env),
+      baseUrl: process.env.GITHUB_API_URL || DEFAULT_API_URL
+    });
+  }
+  return githubClient;
+}
+
+module.exports = { GitHubClient, getGitHubClient, isValidRepo };
@@ -0,0 +1,139 @@
+/**
+ * View history is kept as buckets keyed by UTC time strings, which sort in
+ * time order as plain strings:
+ *
+ *   day   - "2024-05-01", kept forever
+ *   hour  - "2024-05-01T13", kept for the last HOURLY_RETENTION_HOURS
+ */
+const GRANULARITIES = ['day', 'hour'];
+const HOURLY_RETENTION_HOURS = 48;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Turns a date into its bucket name.
+ * @param {Date} date - Any moment inside the bucket
+ * @param {string} granularity - "day" or "hour"
+ * @returns {string} Bucket name
+ */
+function toBucket(date, granularity) {
+  const iso = date.toISOString();
+  return granularity === 'hour' ? iso.slice(0, 13) : iso.slice(0, 10);
+}
+
+/**
+ * Start of a bucket as a date.
+ * @param {string} bucket - Bucket name
+ * @returns {Date} Start of the bucket (UTC)
+ */
+function bucketToDate(bucket) {
+  return new Date(bucket.length > 10 ? `${bucket}:00:00Z` : `${bucket}T00:00:00Z`);
+}
+
+/**
+ * Every bucket between two dates, both ends included.
+ * @param {Date} from - Start
+ * @param {Date} to - End
+ * @param {string} granularity - "day" or "hour"
+ * @returns {string[]} Bucket names in order
+ */
+function listBuckets(from, to, granularity) {
+  const step = granularity === 'hour' ? HOUR_MS : DAY_MS;
+  const buckets = [];
+  const last = toBucket(to, granularity);
+
+  for (let time = bucketToDate(toBucket(from, granularity)).getTime(); ; time += step) {
+    const bucket = toBucket(new Date(time), granularity);
+    if (bucket > last) break;
+    buckets.push(bucket);
+  }
+
+  return buckets;
+}
+
+/**
+ * Reads a date query param: "2024-05-01", "2024-05-01T13" or any full ISO
+ * timestamp.
+ * @param {string} value - Query param
+ * @returns {Date|null} Date, or null if it can't be parsed
+ */
+function parseDateParam(value) {
+  if (typeof value !== 'string') return null;
+  const date = /^\d{4}-\d{2}-\d{2}(T\d{2})?$/.test(value) ? bucketToDate(value) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Oldest hourly bucket still kept.
+ * @param {Date} now - Current time
+ * @returns {string} Bucket name
+ */
+function getHourlyCutoff(now = new Date()) {
+  return toBucket(new Date(now.getTime() - (HOURLY_RETENTION_HOURS - 1) * HOUR_MS), 'hour');
+}
+
+/**
+ * Whether a bucket falls inside an optional range.
+ * @param {string} bucket - Bucket name
+ * @param {string|null} from - First bucket, or null for no lower bound
+ * @param {string|null} to - Last bucket, or null for no upper bound
+ * @returns {boolean} True if inside
+ */
+function isBucketInRange(bucket, from, to) {
+  return (!from || bucket >= from) && (!to || bucket <= to);
+}
+
+/**
+ * Drops hourly buckets older than the retention window.
+ * @param {Map<string, number>|Object} buckets - Hourly buckets, changed in place
+ * @param {Date} now - Current time
+ */
+function pruneHourlyBuckets(buckets, now = new Date()) {
+  const cutoff = getHourlyCutoff(now);
+  if (buckets instanceof Map) {
+    for (const bucket of buckets.keys()) {
+      if (bucket < cutoff) buckets.delete(bucket);
+    }
+  } else {
+    for (const bucket of Object.keys(buckets)) {
+      if (bucket < cutoff) delete buckets[bucket];
+    }
+  }
+}
+
+/**
+ * Summary numbers for the analytics API.
+ * @param {Map<string, number>} days - Every daily bucket we have
+ * @param {Date} now - Current time
+ * @returns {Object} { last7Days, last30Days, peakDay }
+ */
+function summarizeDays(days, now = new Date()) {
+  const since7 = toBucket(new Date(now.getTime() - 6 * DAY_MS), 'day');
+  const since30 = toBucket(new Date(now.getTime() - 29 * DAY_MS), 'day');
+
+  let last7Days = 0;
+  let last30Days = 0;
+  let peakDay = null;
+
+  for (const [day, count] of days) {
+    if (day >= since7) last7Days += count;
+    if (day >= since30) last30Days += count;
+    if (!peakDay || count > peakDay.count) peakDay = { date: day, count };
+  }
+
+  return { last7Days, last30Days, peakDay };
+}
+
+module.exports = {
+  GRANULARITIES,
+  HOURLY_RETENTION_HOURS,
+  toBucket,
+  bucketToDate,
+  listBuckets,
+  parseDateParam,
+  getHourlyCutoff,
+  isBucketInRange,
+  pruneHourlyBuckets,
+  summarizeDays
+};
@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Two-tier cache for processed icons. Tier one is an in-memory LRU, tier two
+ * is an optional disk or Redis store so a restart doesn't mean re-fetching
+ * (and re-vectorizing) every icon. Configured through env:
+ *
+ *   ICON_CACHE_SIZE       - Max icons kept in memory (default 500)
+ *   ICON_CACHE_STORE      - "disk" or "redis" for the second tier (default: none)
+ *   ICON_CACHE_DIR        - Directory for the disk store (default storage/icon-cache)
+ *   ICON_CACHE_DISK_SIZE  - Max icons kept on disk (default 5000)
+ *   ICON_CACHE_DISK_BYTES - Max bytes kept on disk (default 50 MB)
+ *   ICON_CACHE_REDIS_URL  - Redis for the second tier (falls back to REDIS_URL)
+ */
+
+// Used when upstream doesn't send a max-age
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+// Upper bound so a huge max-age can't pin an icon forever
+const MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+// Stale entries stay in the second tier this long so they can be revalidated with an ETag
+const STALE_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const ICON_CACHE_DIR = process.env.ICON_CACHE_DIR || path.join(__dirname, '..', 'storage', 'icon-cache');
+// Icon URLs come from users, so the disk tier is bounded like the memory one
+const DISK_MAX_ENTRIES = parseInt(process.env.ICON_CACHE_DISK_SIZE, 10) || 5000;
+const DISK_MAX_BYTES = parseInt(process.env.ICON_CACHE_DISK_BYTES, 10) || 50 * 1024 * 1024;
+
+/**
+ * Minimal LRU built on Map insertion order.
+ */
+class LruCache {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+const memoryCache = new LruCache(parseInt(process.env.ICON_CACHE_SIZE, 10) || 500);
+
+// Requests currently being loaded, so concurrent callers share one fetch
+const inFlight = new Map();
+
+const stats = {
+  memoryHits: 0,
+  storeHits: 0,
+  misses: 0,
+  revalidated: 0,
+  sharedInFlight: 0,
+  errors: 0
+};
+
+let storeType = (process.env.ICON_CACHE_STORE || '').toLowerCase() || null;
+let redisClient = null;
+
+if (storeType === 'redis') {
+  try {
+    const redisUrl = process.env.ICON_CACHE_REDIS_URL || process.env.REDIS_URL;
+    if (!redisUrl) throw new Error('No ICON_CACHE_REDIS_URL or REDIS_URL set');
+
+    const { createClient } = require('redis');
+    redisClient = createClient({
+      url: redisUrl,
+      socket: {
+        tls: redisUrl.startsWith('rediss://'),
+        rejectUnauthorized: false,
+        connectTimeout: 10000
+      }
+    });
+    redisClient.on('error', (err) => {
+      console.warn('Icon cache Redis error (non-fatal):', err.message);
+    });
+    console.log('Icon cache using Redis as second tier');
+  } catch (error) {
+    console.warn('Icon cache Redis initialization failed, using memory only:', error.message);
+    storeType = null;
+  }
+} else if (storeType && storeType !== 'disk') {
+  console.warn(`Unknown ICON_CACHE_STORE "${storeType}", using memory only`);
+  storeType = null;
+}
+
+// Disk tier contents, file name -> size, least recently used first
+let diskIndex = null;
+let diskIndexLoading = null;
+let diskBytes = 0;
+
+/**
+ * Builds the disk index from the cache directory, oldest file first, so
+ * eviction order survives restarts. Runs once.
+ * @returns {Promise<Map>} Disk index
+ */
+function loadDiskIndex() {
+  if (!diskIndexLoading) {
+    diskIndexLoading = (async () => {
+      let names = [];
+      try {
+        names = await fs.readdir(ICON_CACHE_DIR);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      const files = [];
+      for (const name of names.filter(name => name.endsWith('.json'))) {
+        try {
+          const stat = await fs.stat(path.join(ICON_CACHE_DIR, name));
+          files.push({ name, size: stat.size, usedAt: stat.mtimeMs });
+        } catch (error) {
+          // Removed while we were listing, nothing to track
+        }
+      }
+
+      diskIndex = new Map();
+      diskBytes = 0;
+      for (const { name, size } of files.sort((a, b) => a.usedAt - b.usedAt)) {
+        diskIndex.set(name, size);
+        diskBytes += size;
+      }
+      return diskIndex;
+    })();
+  }
+  return diskIndexLoading;
+}
+
+/**
+ * Marks a disk entry as just used. The mtime is bumped too, it's what
+ * loadDiskIndex orders by after a restart.
+ * @param {string} name - File name
+ */
+async function touchDiskEntry(name) {
+  const index = await loadDiskIndex();
+  if (index.has(name)) {
+    const size = index.get(name);
+    index.delete(name);
+    index.set(name, size);
+  }
+
+  const now = new Date();
+  await fs.utimes(path.join(ICON_CACHE_DIR, name), now, now).catch(() => {});
+}
+
+/**
+ * Records a disk write and removes the least recently used files until the
+ * tier is back within DISK_MAX_ENTRIES and DISK_MAX_BYTES.
+ * @param {string} name - File name just written
+ * @param {number} size - Its size in bytes
+ */
+async function trackDiskEntry(name, size) {
+  const index = await loadDiskIndex();
+  if (index.has(name)) diskBytes -= index.get(name);
+  index.delete(name);
+  index.set(name, size);
+  diskBytes += size;
+
+  while (index.size > DISK_MAX_ENTRIES || (diskBytes > DISK_MAX_BYTES && index.size > 1)) {
+    const [oldest, oldestSize] = index.entries().next().value;
+    index.delete(oldest);
+    diskBytes -= oldestSize;
+    await fs.unlink(path.join(ICON_CACHE_DIR, oldest)).catch((error) => {
+      if (error.code !== 'ENOENT') console.warn('Icon cache eviction failed:', error.message);
+    });
+  }
+}
+
+/**
+ * Hashes a cache key into something safe for file names and Redis keys.
+ * @param {string} key - Cache key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Reads an entry from the second tier.
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cached entry
+ */
+async function readFromStore(key) {
+  try {
+    if (storeType === 'disk') {
+      const name = `${hashKey(key)}.json`;
+      const data = await fs.readFile(path.join(ICON_CACHE_DIR, name), 'utf8');
+      await touchDiskEntry(name);
+      return JSON.parse(data);
+    }
+
+    if (storeType === 'redis') {
+      if (!redisClient.isOpen) await redisClient.connect();
+      const data = await redisClient.get(`icon-cache:${hashKey(key)}`);
+      return data ? JSON.parse(data) : null;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('Icon cache store read failed:', error.message);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Writes an entry to the second tier. Failures only cost us a cache miss.
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to store
+ */
+async function writeToStore(key, entry) {
+  try {
+    const data = JSON.stringify(entry);
+
+    if (storeType === 'disk') {
+      const name = `${hashKey(key)}.json`;
+      await fs.mkdir(ICON_CACHE_DIR, { recursive: true });
+      await fs.writeFile(path.join(ICON_CACHE_DIR, name), data, 'utf8');
+      await trackDiskEntry(name, Buffer.byteLength(data));
+    } else if (storeType === 'redis') {
+      if (!redisClient.isOpen) await redisClient.connect();
+      const ttl = Math.max(1, Math.ceil((entry.expiresAt - Date.now()) / 1000)) + STALE_RETENTION_SECONDS;
+      await redisClient.set(`icon-cache:${hashKey(key)}`, data, { EX: ttl });
+    }
+  } catch (error) {
+    console.warn('Icon cache store write failed:', error.message);
+  }
+}
+
+/**
+ * Works out how long to keep a response from its Cache-Control header.
+ * @param {Object} headers - Upstream response headers
+ * @returns {number|null} TTL in seconds, or null if it must not be stored
+ */
+function getCacheTtl(headers = {}) {
+  const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+
+  if (cacheControl.includes('no-store')) return null;
+  if (cacheControl.includes('no-cache')) return 0;
+
+  const maxAge = cacheControl.match(/(?:s-maxage|max-age)=(\d+)/);
+  if (maxAge) return Math.min(parseInt(maxAge[1], 10), MAX_TTL_SECONDS);
+
+  return DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Looks up an entry in memory, then in the second tier.
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Entry, fresh or stale
+ */
+async function findEntry(key) {
+  const cached = memoryCache.get(key);
+  if (cached) {
+    if (cached.expiresAt > Date.now()) stats.memoryHits++;
+    return cached;
+  }
+
+  if (!storeType) return null;
+
+  const stored = await readFromStore(key);
+  if (stored) {
+    memoryCache.set(key, stored);
+    if (stored.expiresAt > Date.now()) stats.storeHits++;
+  }
+  return stored;
+}
+
+/**
+ * Loads an entry through the loader and stores the result.
+ *
+ * The loader gets the stale entry (if any) so it can send If-None-Match, and
+ * resolves to { value, headers }, { notModified: true, headers } or null.
+ * @param {string} key - Cache key
+ * @param {Object|null} staleEntry - Expired entry to revalidate
+ * @param {Function} loader - Loads the value
+ * @returns {Promise<*>} Loaded value or null
+ */
+async function loadEntry(key, staleEntry, loader) {
+  let result;
+  try {
+    result = await loader(staleEntry);
+  } catch (error) {
+    stats.errors++;
+    throw error;
+  }
+
+  if (!result) {
+    // Upstream is down: an old icon beats no icon
+    return staleEntry ? staleEntry.value : null;
+  }
+
+  const ttl = getCacheTtl(result.headers);
+
+  if (result.notModified && staleEntry) {
+    stats.revalidated++;
+    const refreshed = { ...staleEntry, expiresAt: Date.now() + (ttl || 0) * 1000 };
+    memoryCache.set(key, refreshed);
+    if (storeType) await writeToStore(key, refreshed);
+    return refreshed.value;
+  }
+
+  if (ttl === null) {
+    memoryCache.delete(key);
+    return result.value;
+  }
+
+  const entry = {
+    value: result.value,
+    etag: (result.headers && result.headers.etag) || null,
+    expiresAt: Date.now() + ttl * 1000
+  };
+  memoryCache.set(key, entry);
+  if (storeType) await writeToStore(key, entry);
+
+  return result.value;
+}
+
+/**
+ * Returns the cached icon for a key, loading it when missing or expired.
+ * Concurrent calls for the same key share one load.
+ * @param {string} key - Cache key (resolved URL + icon color)
+ * @param {Function} loader - Loads the icon, see loadEntry
+ * @returns {Promise<*>} Icon data or null
+ */
+async function getCachedIcon(key, loader) {
+  if (inFlight.has(key)) {
+    stats.sharedInFlight++;
+    return inFlight.get(key);
+  }
+
+  const promise = (async () => {
+    const entry = await findEntry(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    stats.misses++;
+    return loadEntry(key, entry, loader);
+  })();
+
+  inFlight.set(key, promise);
+  try {
+    return await promise;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Hit/miss counters for monitoring.
+ * @returns {Object} Cache statistics
+ */
+function getIconCacheStats() {
+  const hits = stats.memoryHits + stats.storeHits;
+  const lookups = hits + stats.misses;
+
+  return {
+    ...stats,
+    hits,
+    hitRate: lookups ? Math.round(hits / lookups * 1000) / 1000 : 0,
+    memoryEntries: memoryCache.size,
+    ...(storeType === 'disk' && diskIndex && { diskEntries: diskIndex.size, diskBytes }),
+    inFlight: inFlight.size,
+    store: storeType || 'memory'
+  };
+}
+
+module.exports = { LruCache, getCachedIcon, getIconCacheStats };
@@ -1,58 +1,168 @@
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const sharp = require('sharp');
 const DOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
 const potrace = require('potrace');
-const { ICON_PROVIDERS } = require('./constants');
+const { ICON_PROVIDERS, ICON_CDNS } = require('./constants');
 const { changeSvgColor } = require('./colorUtils');
+const { fetchResponse } = require('./fetchUtils');
+const { getCachedIcon } = require('./iconCache');
+
+// Vendored icon packages, laid out as <dir>/<package name>/<path in package>
+const ICON_VENDOR_DIR = process.env.ICON_VENDOR_DIR || null;
+
+// Package name -> local directory (or null), looked up once per package
+const localPackageDirs = new Map();
+
+/**
+ * Builds the error for an icon name a provider doesn't have. Carries a 400
+ * so the server can say so instead of rendering a broken image.
+ * @param {string} provider - Provider name
+ * @param {string} iconName - Requested icon
+ * @returns {Error} Error with statusCode 400
+ */
+function unknownIconError(provider, iconName) {
+  const error = new Error(`Unknown icon "${iconName}" for provider "${provider}"`);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Whether a provider is served from local files or its CDN. Set per provider
+ * with ICON_SOURCE_<PROVIDER> (e.g. ICON_SOURCE_SIMPLE_ICONS=local), or for
+ * all of them with ICON_SOURCE. Defaults to the CDN.
+ * @param {string} provider - Provider name
+ * @returns {string} "local" or "cdn"
+ */
+function getIconSourceMode(provider) {
+  const providerSetting = process.env[`ICON_SOURCE_${provider.toUpperCase().replace(/-/g, '_')}`];
+  return (providerSetting || process.env.ICON_SOURCE || 'cdn').toLowerCase() === 'local' ? 'local' : 'cdn';
+}
 
 /**
- * Builds icon URLs from provider:name format or returns direct URLs.
+ * Finds a provider's package on disk: the vendored directory first, then
+ * node_modules. Warns when the installed version isn't the pinned one.
+ * @param {Object} providerConfig - Entry from ICON_PROVIDERS
+ * @returns {string|null} Package directory
+ */
+function findLocalPackageDir(providerConfig) {
+  const { package: packageName, version } = providerConfig;
+  if (localPackageDirs.has(packageName)) return localPackageDirs.get(packageName);
+
+  const candidates = [];
+  if (ICON_VENDOR_DIR) candidates.push(path.join(ICON_VENDOR_DIR, packageName));
+  for (const modulesDir of require.resolve.paths(packageName) || []) {
+    candidates.push(path.join(modulesDir, packageName));
+  }
+
+  let packageDir = null;
+  for (const candidate of candidates) {
+    if (fs.existsSync(candidate)) {
+      packageDir = candidate;
+      break;
+    }
+  }
+
+  if (packageDir) {
+    try {
+      const installed = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8')).version;
+      if (installed !== version) {
+        console.warn(`Local ${packageName} is ${installed}, expected pinned ${version}`);
+      }
+    } catch (error) {
+      // Vendored copies don't need a package.json
+    }
+  }
+
+  localPackageDirs.set(packageName, packageDir);
+  return packageDir;
+}
+
+/**
+ * Works out where an icon comes from. provider:name icons resolve to a local
+ * file or a pinned CDN URL; anything else is treated as a direct URL.
  * Easy to extend with new providers.
  * @param {string} iconParam - Icon identifier
- * @returns {string} Full URL
+ * @returns {Object} { url } or { filePath }, plus provider/iconName for library icons
  */
-function resolveIconUrl(iconParam) {
+function resolveIconSource(iconParam) {
   const colonIndex = iconParam.indexOf(':');
 
   if (colonIndex > 0) {
     const provider = iconParam.substring(0, colonIndex);
     const iconName = iconParam.substring(colonIndex + 1);
 
-    const template = ICON_PROVIDERS[provider];
-    if (template) {
-      return template.replace('{icon}', iconName);
+    const providerConfig = Object.hasOwn(ICON_PROVIDERS, provider) ? ICON_PROVIDERS[provider] : null;
+    if (providerConfig) {
+      // Icon names are plain slugs in every library; this also keeps local paths inside the package
+      if (!/^[a-z0-9][a-z0-9-]*$/i.test(iconName)) {
+        throw unknownIconError(provider, iconName);
+      }
+
+      const iconPath = providerConfig.path.replace('{icon}', iconName);
+
+      if (getIconSourceMode(provider) === 'local') {
+        const packageDir = findLocalPackageDir(providerConfig);
+        if (!packageDir) {
+          throw new Error(`Icon set "${provider}" is set to local but ${providerConfig.package} isn't installed or vendored`);
+        }
+        return { provider, iconName, filePath: path.join(packageDir, iconPath) };
+      }
+
+      const cdnBase = ICON_CDNS[providerConfig.cdn]
+        .replace('{package}', providerConfig.package)
+        .replace('{version}', providerConfig.version);
+      return { provider, iconName, url: cdnBase + iconPath };
     }
   }
 
-  return iconParam;
+  return { url: iconParam };
+}
+
+/**
+ * Maps a shields-style `namedLogo` (e.g. "github", "Node.js") onto our
+ * provider:name syntax. Values that already name a provider pass through,
+ * everything else is treated as a Simple Icons slug.
+ * @param {string} namedLogo - Logo name
+ * @returns {string|null} Icon identifier
+ */
+function resolveNamedLogo(namedLogo) {
+  if (!namedLogo || typeof namedLogo !== 'string') return null;
+
+  const colonIndex = namedLogo.indexOf(':');
+  if (colonIndex > 0 && Object.hasOwn(ICON_PROVIDERS, namedLogo.substring(0, colonIndex))) {
+    return namedLogo;
+  }
+
+  // Same slug rules Simple Icons uses for its file names
+  const slug = namedLogo
+    .toLowerCase()
+    .replace(/\+/g, 'plus')
+    .replace(/\./g, 'dot')
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]/g, '');
+
+  return slug ? `simple-icons:${slug}` : null;
 }
 
 /**
  * Downloads an image with safety checks. Times out to avoid hanging,
  * limits size to prevent abuse, and uses proper headers for compatibility.
  * @param {string} url - Image URL
- * @returns {Buffer|null} Image data or null
+ * @param {Object} headers - Extra headers, e.g. If-None-Match
+ * @returns {Object|null} { status, headers, buffer } (buffer is null on HTTP errors) or null
  */
-async function fetchImage(url) {
+async function fetchImage(url, headers = {}) {
   try {
-    const response = await axios.get(url, {
-      responseType: 'arraybuffer',
-      timeout: 10000,
-      maxContentLength: 5 * 1024 * 1024,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; BadgeGenerator/1.0)',
-        'Accept': 'image/svg+xml,image/png,image/jpeg,image/gif,image/webp,image/*;q=0.8,*/*;q=0.5',
-        'Accept-Encoding': 'gzip, deflate, br'
-      }
+    return await fetchResponse(url, {
+      'Accept': 'image/svg+xml,image/png,image/jpeg,image/gif,image/webp,image/*;q=0.8,*/*;q=0.5',
+      ...headers
     });
-
-    const buffer = Buffer.from(response.data);
-
-    return buffer;
   } catch (error) {
     console.error('Failed to fetch image:', error.message);
-    return null;
+    // Keep the status so a 404 from an icon library can be reported as such
+    return error.response ? { status: error.response.status, headers: error.response.headers, buffer: null } : null;
   }
 }
 
@@ -303,18 +413,50 @@ async function processPixelImage(buffer, iconColor) {
 }
 
 /**
- * Fetches and processes an icon into a data URI. Handles SVG and raster images,
- * applies color if needed. Returns null on failure for graceful handling.
- * @param {string} iconParam - Icon source
+ * Reads an icon from a local package. Missing files mean the icon doesn't
+ * exist in that library.
+ * @param {Object} source - Resolved local icon source
+ * @returns {Promise<Object>} { status, headers, buffer } like fetchImage
+ */
+async function readLocalIcon(source) {
+  try {
+    return { status: 200, headers: {}, buffer: await fs.promises.readFile(source.filePath) };
+  } catch (error) {
+    if (error.code === 'ENOENT') throw unknownIconError(source.provider, source.iconName);
+    throw error;
+  }
+}
+
+/**
+ * Downloads (or reads) and processes an icon. Sends If-None-Match when
+ * revalidating a cached copy, so unchanged icons skip the download and
+ * re-processing.
+ * @param {Object} source - Resolved icon source
  * @param {string} iconColor - Optional color
- * @returns {Object|null} Icon data with URI and dimensions
+ * @param {Object|null} staleEntry - Expired cache entry, if any
+ * @returns {Object|null} { value, headers } or { notModified, headers } for the cache
  */
-async function generateIcon(iconParam, iconColor) {
-  if (!iconParam) return null;
-  const url = resolveIconUrl(iconParam);
+async function loadIcon(source, iconColor, staleEntry) {
+  let response;
+  if (source.filePath) {
+    response = await readLocalIcon(source);
+  } else {
+    const conditionalHeaders = staleEntry && staleEntry.etag ? { 'If-None-Match': staleEntry.etag } : {};
+    response = await fetchImage(source.url, conditionalHeaders);
+  }
+
+  if (!response) return null;
 
-  const buffer = await fetchImage(url);
-  if (!buffer) return null;
+  if (response.status === 304) {
+    return { notModified: true, headers: response.headers };
+  }
+
+  if (response.status === 404 && source.provider) {
+    throw unknownIconError(source.provider, source.iconName);
+  }
+
+  const buffer = response.buffer;
+  if (!buffer || buffer.length === 0) return null;
 
   let result;
   if (isSvgBuffer(buffer)) {
@@ -330,7 +472,24 @@ async function generateIcon(iconParam, iconColor) {
   }
 
   const dataUri = `data:image/svg+xml;base64,${Buffer.from(result.svgString).toString('base64')}`;
-  return { dataUri, width: result.width, height: result.height };
+  return { value: { dataUri, width: result.width, height: result.height }, headers: response.headers };
+}
+
+/**
+ * Fetches and processes an icon into a data URI. Handles SVG and raster images,
+ * applies color if needed. Results are cached per source and color, see
+ * iconCache.js. Returns null when an icon can't be loaded, but throws (with
+ * statusCode 400) for library icons that don't exist.
+ * @param {string} iconParam - Icon source
+ * @param {string} iconColor - Optional color
+ * @returns {Object|null} Icon data with URI and dimensions
+ */
+async function generateIcon(iconParam, iconColor) {
+  if (!iconParam) return null;
+  const source = resolveIconSource(iconParam);
+  const cacheKey = `${source.url || `file://${source.filePath}`}|${iconColor || ''}`;
+
+  return getCachedIcon(cacheKey, (staleEntry) => loadIcon(source, iconColor, staleEntry));
 }
 
-module.exports = { generateIcon };
\ No newline at end of file
+module.exports = { generateIcon, resolveNamedLogo };
\ No newline at end of file
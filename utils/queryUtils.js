@@ -0,0 +1,107 @@
+const { JSONPath } = require('jsonpath-plus');
+const yaml = require('js-yaml');
+const { JSDOM } = require('jsdom');
+
+/**
+ * Picks values out of a fetched document for the json, xml and yaml
+ * badges: JSONPath for JSON and YAML, XPath for XML.
+ *
+ * Errors carry a code so the badge can say what went wrong:
+ *
+ *   INVALID_DOCUMENT  - The response isn't valid JSON, XML or YAML
+ *   INVALID_QUERY     - The query can't be evaluated
+ */
+
+/**
+ * Builds an error with one of the codes above.
+ * @param {string} code - Error code
+ * @param {string} message - What went wrong
+ * @returns {Error} Error with code
+ */
+function queryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Turns a query result into text for the badge.
+ * @param {*} value - Result value
+ * @returns {string} Text
+ */
+function toText(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Runs a JSONPath query. Script expressions are turned off, queries come
+ * from URLs.
+ * @param {*} data - Parsed document
+ * @param {string} query - JSONPath, e.g. "$.data.version"
+ * @returns {string[]} Matches
+ */
+function queryJsonPath(data, query) {
+  try {
+    return JSONPath({ path: query, json: data, eval: false, wrap: true }).map(toText);
+  } catch (error) {
+    throw queryError('INVALID_QUERY', `Invalid JSONPath "${query}": ${error.message}`);
+  }
+}
+
+/**
+ * Runs an XPath query against an XML document.
+ * @param {string} text - XML
+ * @param {string} query - XPath, e.g. "//version" or "string(/project/@name)"
+ * @returns {string[]} Matches
+ */
+function queryXPath(text, query) {
+  const { window } = new JSDOM(text, { contentType: 'text/xml' });
+  const { document } = window;
+  if (document.getElementsByTagName('parsererror').length) {
+    throw queryError('INVALID_DOCUMENT', 'Response is not valid XML');
+  }
+
+  let result;
+  try {
+    result = document.evaluate(query, document, null, window.XPathResult.ANY_TYPE, null);
+  } catch (error) {
+    throw queryError('INVALID_QUERY', `Invalid XPath "${query}": ${error.message}`);
+  }
+
+  switch (result.resultType) {
+    case window.XPathResult.NUMBER_TYPE:
+      return [String(result.numberValue)];
+    case window.XPathResult.STRING_TYPE:
+      return [result.stringValue];
+    case window.XPathResult.BOOLEAN_TYPE:
+      return [String(result.booleanValue)];
+    default: {
+      const matches = [];
+      for (let node = result.iterateNext(); node; node = result.iterateNext()) {
+        matches.push(node.textContent);
+      }
+      return matches;
+    }
+  }
+}
+
+/**
+ * Parses a document and runs a query against it.
+ * @param {string} format - "json", "xml" or "yaml"
+ * @param {string} text - Response body
+ * @param {string} query - JSONPath (json, yaml) or XPath (xml)
+ * @returns {string[]} Matches, empty if nothing matched
+ */
+function runQuery(format, text, query) {
+  if (format === 'xml') return queryXPath(text, query);
+
+  let data;
+  try {
+    data = format === 'yaml' ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw queryError('INVALID_DOCUMENT', `Response is not valid ${format.toUpperCase()}`);
+  }
+  return queryJsonPath(data, query);
+}
+
+module.exports = { runQuery };
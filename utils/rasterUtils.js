@@ -0,0 +1,59 @@
+const sharp = require('sharp');
+
+/**
+ * Output formats we can serve. SVG is the native format, everything else
+ * gets rasterized from it with Sharp.
+ */
+const OUTPUT_FORMATS = {
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+/**
+ * Retina multipliers. Kept small so nobody renders a 10000px badge.
+ */
+const RASTER_SCALES = [1, 2, 3];
+
+/**
+ * Works out the requested output format from the query string or a path
+ * suffix like `.png`. The query param wins when both are present.
+ * @param {string} formatParam - Value of the `format` query param
+ * @param {string} extension - Path suffix without the dot
+ * @returns {string|null} Normalized format, or null if unsupported
+ */
+function resolveOutputFormat(formatParam, extension) {
+  const format = (formatParam || extension || 'svg').toLowerCase();
+  return OUTPUT_FORMATS[format] ? format : null;
+}
+
+/**
+ * Parses the `scale` param. Accepts "2" as well as "2x".
+ * @param {string} scaleParam - Raw scale value
+ * @returns {number|null} Scale factor, or null if not allowed
+ */
+function resolveScale(scaleParam) {
+  if (scaleParam === undefined || scaleParam === '') return 1;
+  const scale = parseInt(String(scaleParam).replace(/x$/i, ''), 10);
+  return RASTER_SCALES.includes(scale) ? scale : null;
+}
+
+/**
+ * Rasterizes a badge SVG. Bumps the density instead of resizing afterwards
+ * so text and icons stay sharp at 2x/3x.
+ * @param {string} svg - Badge SVG markup
+ * @param {string} format - png or webp
+ * @param {number} scale - Retina multiplier
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function rasterizeSvg(svg, format, scale = 1) {
+  const image = sharp(Buffer.from(svg.trim()), { density: 72 * scale });
+
+  if (format === 'webp') {
+    return image.webp({ lossless: true }).toBuffer();
+  }
+
+  return image.png({ compressionLevel: 9 }).toBuffer();
+}
+
+module.exports = { OUTPUT_FORMATS, resolveOutputFormat, resolveScale, rasterizeSvg };
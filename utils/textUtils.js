@@ -0,0 +1,147 @@
+/**
+ * Advance widths from DejaVu Sans, a close metric match for Verdana.
+ * Regenerate with scripts/generate-font-metrics.js.
+ */
+const FONT_METRICS = {
+  normal: require('./fontMetrics/normal.json'),
+  bold: require('./fontMetrics/bold.json')
+};
+
+/**
+ * Default letter spacing the badge SVG applies to every text run, in em.
+ */
+const LETTER_SPACING_EM = 0.2;
+
+/**
+ * Fallback advances (in em) for characters the bundled font doesn't cover.
+ * Browsers pull these from a system fallback font, so we go by character
+ * class instead of guessing a single number.
+ */
+const EMOJI_WIDTH_EM = 1.25;
+const WIDE_WIDTH_EM = 1;
+const DEFAULT_WIDTH_EM = 0.65;
+
+/**
+ * East Asian Wide/Fullwidth blocks (CJK, Hangul, Kana, fullwidth forms).
+ * Glyphs here are a full em in every CJK font.
+ */
+const WIDE_RANGES = [
+  [0x1100, 0x115F],
+  [0x2E80, 0x303E],
+  [0x3041, 0x33FF],
+  [0x3400, 0x4DBF],
+  [0x4E00, 0x9FFF],
+  [0xA000, 0xA4CF],
+  [0xA960, 0xA97F],
+  [0xAC00, 0xD7A3],
+  [0xF900, 0xFAFF],
+  [0xFE10, 0xFE19],
+  [0xFE30, 0xFE6F],
+  [0xFF00, 0xFF60],
+  [0xFFE0, 0xFFE6],
+  [0x20000, 0x3FFFD]
+];
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Binary search over sorted [start, end, value] ranges.
+ * @param {Array} ranges - Sorted ranges
+ * @param {number} codePoint - Code point to find
+ * @returns {Array|null} Matching range
+ */
+function findRange(ranges, codePoint) {
+  let low = 0;
+  let high = ranges.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    const range = ranges[mid];
+    if (codePoint < range[0]) {
+      high = mid - 1;
+    } else if (codePoint > range[1]) {
+      low = mid + 1;
+    } else {
+      return range;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Splits text into user-perceived characters, so "👩‍💻" or "é" written as
+ * e + combining accent count once.
+ * @param {string} text - Text to split
+ * @returns {string[]} Grapheme clusters
+ */
+function splitGraphemes(text) {
+  if (segmenter) {
+    return Array.from(segmenter.segment(text), segment => segment.segment);
+  }
+  return Array.from(text);
+}
+
+/**
+ * Checks whether a grapheme renders as a color emoji.
+ * @param {string} grapheme - Grapheme cluster
+ * @returns {boolean} True if emoji
+ */
+function isEmoji(grapheme) {
+  return /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F|\p{Regional_Indicator}/u.test(grapheme) ||
+    (/\u200D/.test(grapheme) && /\p{Extended_Pictographic}/u.test(grapheme));
+}
+
+/**
+ * Advance width of one grapheme cluster in em. Combining marks and other
+ * trailing code points in the cluster don't add width.
+ * @param {string} grapheme - Grapheme cluster
+ * @param {Object} metrics - Font metrics table
+ * @returns {number} Width in em
+ */
+function graphemeWidth(grapheme, metrics) {
+  if (isEmoji(grapheme)) return EMOJI_WIDTH_EM;
+
+  const codePoint = grapheme.codePointAt(0);
+  const range = findRange(metrics.ranges, codePoint);
+  if (range) return range[2] / metrics.unitsPerEm;
+
+  if (WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end)) {
+    return WIDE_WIDTH_EM;
+  }
+
+  // Zero-width and control characters
+  if (/[\p{Mn}\p{Me}\p{Cf}\p{Cc}]/u.test(grapheme)) return 0;
+
+  return DEFAULT_WIDTH_EM;
+}
+
+/**
+ * Measures rendered text width from bundled font metrics. Bold covers
+ * font-weight 600 and up. Includes the letter spacing the SVG applies
+ * after every character.
+ * @param {string} text - Text to measure
+ * @param {number} fontSize - Font size in px
+ * @param {Object} [options] - Font options
+ * @param {number} [options.fontWeight=600] - CSS font weight
+ * @param {number} [options.letterSpacing=0.2] - Letter spacing in em
+ * @returns {number} Width in px, rounded up
+ */
+function calculateTextWidth(text, fontSize, { fontWeight = 600, letterSpacing = LETTER_SPACING_EM } = {}) {
+  if (!text) return 0;
+
+  const metrics = fontWeight >= 600 ? FONT_METRICS.bold : FONT_METRICS.normal;
+  const graphemes = splitGraphemes(String(text));
+  let totalEm = 0;
+  for (const grapheme of graphemes) {
+    totalEm += graphemeWidth(grapheme, metrics);
+  }
+
+  totalEm += graphemes.length * letterSpacing;
+
+  return Math.ceil(totalEm * fontSize);
+}
+
+module.exports = { calculateTextWidth, splitGraphemes, LETTER_SPACING_EM };
@@ -0,0 +1,169 @@
+const { LruCache } = require('./iconCache');
+const { fetchJson } = require('./fetchUtils');
+
+/**
+ * Cache for upstream API responses (GitHub, npm, ...) shared by every badge,
+ * so a busy README doesn't burn through rate limits. Entries are keyed by URL
+ * (or API path), which lets badges reading the same resource (stars and open issues both
+ * read /repos/<repo>) share one response. Each caller decides how fresh it
+ * needs the data:
+ *
+ *   ttl                  - Seconds a response is served without asking upstream
+ *   staleWhileRevalidate - Seconds after that it's still served right away
+ *                          while a background request refreshes it
+ *
+ * Past both, the request waits for upstream. If upstream fails, the last good
+ * response (up to MAX_STALE_SECONDS old) is returned marked as stale.
+ * Refreshes send If-None-Match, so unchanged responses come back as 304s.
+ *
+ *   UPSTREAM_CACHE_SIZE  - Max responses kept in memory (default 1000)
+ */
+
+// Oldest response we'd rather show than nothing
+const MAX_STALE_SECONDS = 7 * 24 * 60 * 60;
+
+const cache = new LruCache(parseInt(process.env.UPSTREAM_CACHE_SIZE, 10) || 1000);
+
+// Refreshes currently running, so concurrent callers share one request
+const inFlight = new Map();
+
+const stats = {
+  hits: 0,
+  staleWhileRevalidateHits: 0,
+  misses: 0,
+  revalidated: 0,
+  sharedInFlight: 0,
+  servedStale: 0,
+  errors: 0
+};
+
+/**
+ * Loads a fresh entry through the loader and stores it.
+ *
+ * The loader gets the current entry (if any) so it can send If-None-Match,
+ * and resolves to { value, etag } or { notModified: true }.
+ * @param {string} key - Cache key
+ * @param {Object|null} entry - Current entry
+ * @param {Function} loader - Loads the value
+ * @returns {Promise<Object>} New entry
+ */
+async function loadEntry(key, entry, loader) {
+  const result = await loader(entry);
+
+  if (result.notModified && entry) {
+    stats.revalidated++;
+    const refreshed = { ...entry, fetchedAt: Date.now() };
+    cache.set(key, refreshed);
+    return refreshed;
+  }
+
+  const fresh = { value: result.value, etag: result.etag || null, fetchedAt: Date.now() };
+  cache.set(key, fresh);
+  return fresh;
+}
+
+/**
+ * Starts a refresh, or joins the one already running for the key.
+ * @param {string} key - Cache key
+ * @param {Object|null} entry - Current entry
+ * @param {Function} loader - Loads the value
+ * @returns {Promise<Object>} New entry
+ */
+function refreshEntry(key, entry, loader) {
+  if (inFlight.has(key)) {
+    stats.sharedInFlight++;
+    return inFlight.get(key);
+  }
+
+  const promise = loadEntry(key, entry, loader).finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Returns the cached value for a key, loading it when missing or too old.
+ * @param {string} key - Cache key
+ * @param {Object} options - { ttl, staleWhileRevalidate } in seconds
+ * @param {Function} loader - Loads the value, see loadEntry
+ * @returns {Promise<Object>} { value, stale }, stale when upstream failed
+ */
+async function getCachedUpstream(key, { ttl, staleWhileRevalidate = 0 }, loader) {
+  const entry = cache.get(key);
+  const age = entry ? (Date.now() - entry.fetchedAt) / 1000 : Infinity;
+
+  if (age < ttl) {
+    stats.hits++;
+    return { value: entry.value, stale: false };
+  }
+
+  if (age < ttl + staleWhileRevalidate) {
+    stats.staleWhileRevalidateHits++;
+    refreshEntry(key, entry, loader).catch((error) => {
+      stats.errors++;
+      console.warn(`Background refresh of ${key} failed:`, error.message);
+    });
+    return { value: entry.value, stale: false };
+  }
+
+  stats.misses++;
+  try {
+    const fresh = await refreshEntry(key, entry, loader);
+    return { value: fresh.value, stale: false };
+  } catch (error) {
+    stats.errors++;
+    // A repo or package that's gone is news, not an outage to paper over
+    const notFound = error.response && error.response.status === 404;
+    if (!entry || age > MAX_STALE_SECONDS || notFound) throw error;
+
+    // Upstream is down or rate limiting us: an old number beats "N/A"
+    stats.servedStale++;
+    console.warn(`Serving stale ${key} (${Math.round(age)}s old):`, error.message);
+    return { value: entry.value, stale: true };
+  }
+}
+
+/**
+ * Runs a JSON request through the cache, revalidating with the response's
+ * ETag.
+ * @param {string} key - Cache key
+ * @param {Object} options - { ttl, staleWhileRevalidate } in seconds
+ * @param {Function} request - (conditionalHeaders) => { status, headers, data }
+ * @param {Function} select - Picks what to cache from the response, the body by default
+ * @returns {Promise<Object>} { value, stale }
+ */
+async function fetchCached(key, options, request, select = (response) => response.data) {
+  return getCachedUpstream(key, options, async (entry) => {
+    const response = await request(entry && entry.etag ? { 'If-None-Match': entry.etag } : {});
+
+    if (response.status === 304) return { notModified: true };
+    return { value: select(response), etag: response.headers.etag };
+  });
+}
+
+/**
+ * Fetches JSON from a URL through the cache.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - { ttl, staleWhileRevalidate } in seconds
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} { value, stale }
+ */
+async function fetchCachedJson(url, options, headers = {}) {
+  return fetchCached(url, options, (conditionalHeaders) => fetchJson(url, { ...headers, ...conditionalHeaders }));
+}
+
+/**
+ * Hit/miss counters for monitoring.
+ * @returns {Object} Cache statistics
+ */
+function getUpstreamCacheStats() {
+  const lookups = stats.hits + stats.staleWhileRevalidateHits + stats.misses;
+
+  return {
+    ...stats,
+    hitRate: lookups ? Math.round((stats.hits + stats.staleWhileRevalidateHits) / lookups * 1000) / 1000 : 0,
+    entries: cache.size,
+    inFlight: inFlight.size
+  };
+}
+
+module.exports = { getCachedUpstream, fetchCached, fetchCachedJson, getUpstreamCacheStats };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { CRAWLER_USER_AGENTS } = require('./constants');
+
+/**
+ * Visitors are identified by a salted hash of IP and user-agent, so raw IPs
+ * never reach storage. Configured through env:
+ *
+ *   VISITOR_SALT          - Secret mixed into the hash. Without it a random salt
+ *                           is used, so unique counts restart with the process
+ *   UNIQUE_VISITOR_WINDOW - Seconds a visitor counts once (default 86400, a day)
+ */
+const DEFAULT_UNIQUE_WINDOW = 24 * 60 * 60;
+
+const UNIQUE_WINDOW = parseInt(process.env.UNIQUE_VISITOR_WINDOW, 10) || DEFAULT_UNIQUE_WINDOW;
+
+let visitorSalt = process.env.VISITOR_SALT || null;
+
+/**
+ * Returns the salt, making up a random one (once) if none is configured.
+ * @returns {string} Salt
+ */
+function getSalt() {
+  if (!visitorSalt) {
+    visitorSalt = crypto.randomBytes(32).toString('hex');
+    console.warn('VISITOR_SALT is not set, unique visitors will be counted again after a restart');
+  }
+  return visitorSalt;
+}
+
+/**
+ * Whether a user-agent belongs to a crawler, previewer or monitor. Requests
+ * without a user-agent are treated as bots too.
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} True for crawlers
+ */
+function isCrawler(userAgent) {
+  if (!userAgent) return true;
+  return CRAWLER_USER_AGENTS.some(pattern => pattern.test(userAgent));
+}
+
+/**
+ * Hashes a visitor into an opaque id.
+ * @param {string} ip - Client IP
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Hex digest
+ */
+function getVisitorId(ip, userAgent) {
+  return crypto.createHmac('sha256', getSalt()).update(`${ip || ''}\n${userAgent || ''}`).digest('hex');
+}
+
+module.exports = { UNIQUE_WINDOW, isCrawler, getVisitorId };